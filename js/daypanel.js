@@ -0,0 +1,189 @@
+/* ============================================================
+   HIKING JOURNAL — daypanel.js
+   Day detail panel for the trip page.
+
+   Opened by clicking a row in the Day by Day table, a legend
+   item, a route on the map or a "Day N" journal heading. Shows
+   the day's name, stats, start and end points and its photos;
+   trip.js zooms the map and profile to the day alongside.
+
+   The open day is kept in the URL as #day-3, so a single day
+   can be shared — loading (or navigating to) that URL opens the
+   same view. Closing the panel clears it again.
+
+   Requires utils.js, units.js and waypoints.js to be loaded first.
+   ============================================================ */
+
+'use strict';
+
+const DAY_HASH_RE = /(^|&)day-(\d+)(?=&|$)/;
+
+/**
+ * Set up the day panel.
+ * @param {object[]} dayResults - Results from loadAllDays()
+ * @param {object}   handlers
+ * @param {function} handlers.onOpen  - Called with the day result when the panel opens
+ * @param {function} handlers.onClose - Called when the panel closes
+ * @returns {object|null} Controller with open(day), close(), openFromHash() and setPhotos(photos)
+ */
+function buildDayPanel(dayResults, { onOpen, onClose }) {
+  const panel = document.getElementById('day-panel');
+  if (!panel) return null;
+
+  const validDays = dayResults.filter(d => d.ok);
+  if (validDays.length === 0) return null;
+
+  let current = null;
+  let photos  = [];
+
+  const controller = {
+    open(day) {
+      current = day;
+      panel.innerHTML = renderDayPanel(day, validDays, photos.filter(p => p.day === day));
+      panel.hidden = false;
+      setDayHash(day.dayNumber);
+      onOpen(day);
+    },
+
+    close() {
+      if (!current) return;
+      current = null;
+      panel.hidden = true;
+      panel.innerHTML = '';
+      setDayHash(null);
+      onClose();
+    },
+
+    /** Open the day named in the URL hash, or close the panel if there is none. */
+    openFromHash() {
+      const match = window.location.hash.replace(/^#/, '').match(DAY_HASH_RE);
+      const day   = match && validDays.find(d => d.dayNumber === Number(match[2]));
+      if (day && day !== current) controller.open(day);
+      else if (!day) controller.close();
+    },
+
+    /** Photos from buildPhotoMarkers(); re-renders the open day to include them. */
+    setPhotos(list) {
+      photos = list || [];
+      if (current) panel.innerHTML = renderDayPanel(current, validDays, photos.filter(p => p.day === current));
+    },
+  };
+
+  panel.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-panel-action]');
+    if (!btn) return;
+    const action = btn.dataset.panelAction;
+    if (action === 'close') {
+      controller.close();
+    } else if (current) {
+      const next = validDays[validDays.indexOf(current) + (action === 'next' ? 1 : -1)];
+      if (next) controller.open(next);
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && current) controller.close();
+  });
+
+  window.addEventListener('hashchange', () => controller.openFromHash());
+
+  return controller;
+}
+
+/* ---- Rendering -------------------------------------------- */
+
+function renderDayPanel(day, validDays, dayPhotos) {
+  const position = validDays.indexOf(day);
+  const label    = `Day ${day.dayNumber}`;
+  const title    = day.name && day.name !== label ? day.name : '';
+  const t        = day.timeStats;
+
+  const stats = [
+    ['Distance',   formatDistance(day.distance)],
+    ['Gain',       `+${formatElevation(day.elevation)}`],
+    ['Loss',       `−${formatElevation(day.elevationLoss)}`],
+    ['High point', formatElevation(day.highPoint)],
+    ['Low point',  formatElevation(day.lowPoint)],
+  ];
+  if (t) {
+    stats.push(
+      ['On trail', `${formatClockTime(t.start)} – ${formatClockTime(t.end)}`],
+      ['Moving',   formatDuration(t.movingMs)],
+      ['Pace',     formatPace(t.pace)],
+    );
+  }
+
+  const start = day.coords[0];
+  const end   = day.coords[day.coords.length - 1];
+
+  return `
+    <div class="day-panel-header">
+      <span class="day-color-dot" style="background:${dayColorNeutral(day.index)}"></span>
+      <div class="day-panel-heading">
+        <div class="day-panel-kicker">${label}</div>
+        ${title ? `<h3 class="day-panel-title">${escapeHtml(title)}</h3>` : ''}
+      </div>
+      <div class="day-panel-nav">
+        <button type="button" class="day-panel-btn" data-panel-action="prev" ${position > 0 ? '' : 'disabled'} aria-label="Previous day">←</button>
+        <button type="button" class="day-panel-btn" data-panel-action="next" ${position < validDays.length - 1 ? '' : 'disabled'} aria-label="Next day">→</button>
+        <button type="button" class="day-panel-btn" data-panel-action="close" aria-label="Close day details">×</button>
+      </div>
+    </div>
+
+    <div class="day-panel-stats">
+      ${stats.map(([lbl, val]) => `
+        <div class="day-panel-stat">
+          <div class="label">${lbl}</div>
+          <div class="value">${val}</div>
+        </div>`).join('')}
+    </div>
+
+    <div class="day-panel-points">
+      ${start ? renderDayPoint('Start', start, nearestWaypoint(day, start)) : ''}
+      ${end   ? renderDayPoint('End',   end,   day.camp || nearestWaypoint(day, end)) : ''}
+    </div>
+
+    ${dayPhotos.length ? `
+      <div class="day-panel-photos">
+        ${dayPhotos.map(({ photo }) => `
+          <a class="day-panel-photo" href="${escapeHtml(photo.url)}" target="_blank" rel="noopener" title="${escapeHtml(photo.caption || photo.alt || '')}">
+            <img src="${escapeHtml(photo.url)}" alt="${escapeHtml(photo.alt || '')}" loading="lazy" />
+          </a>`).join('')}
+      </div>` : ''}
+  `;
+}
+
+/** "Start  Twin Lakes · 39.0861° N, 106.3119° W · 9,210 ft" */
+function renderDayPoint(label, coord, waypoint) {
+  const parts = [];
+  if (waypoint) parts.push(escapeHtml(waypointName(waypoint)));
+  parts.push(formatLatLon(coord));
+  if (typeof coord[2] === 'number') parts.push(formatElevation(coord[2] * 3.28084));
+
+  return `
+    <div class="day-panel-point">
+      <span class="label">${label}</span>
+      <span class="value">${parts.join(' · ')}</span>
+    </div>`;
+}
+
+function formatLatLon(coord) {
+  const [lon, lat] = coord;
+  return `${Math.abs(lat).toFixed(4)}° ${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(4)}° ${lon >= 0 ? 'E' : 'W'}`;
+}
+
+/* ---- URL hash ---------------------------------------------- */
+
+/**
+ * Write #day-N into the URL (or remove it), keeping any other hash
+ * parameters such as id=…, without adding a history entry.
+ */
+function setDayHash(dayNumber) {
+  const others = window.location.hash.replace(/^#/, '').split('&')
+    .filter(part => part && !/^day-\d+$/.test(part));
+  if (dayNumber != null) others.push(`day-${dayNumber}`);
+
+  const hash = others.length ? `#${others.join('&')}` : '';
+  if (hash === window.location.hash) return;
+  history.replaceState(null, '', window.location.pathname + window.location.search + hash);
+}
@@ -0,0 +1,219 @@
+/* ============================================================
+   HIKING JOURNAL — export.js
+   Track downloads for the trip page.
+
+   Builds files in the browser from the day tracks trip.js has
+   already loaded — nothing extra is fetched:
+     - Whole trip as GPX (one <trk> per day)
+     - Whole trip as a single merged GeoJSON FeatureCollection
+     - A single day as GPX (links in the Day by Day table)
+
+   Exports carry the trip title, description and dates from
+   meta.json, each day's name from its feature properties, and
+   elevation (metres) for every point. Point timestamps are
+   included when the track has them. GPX files also carry the
+   days' campsites, water and other waypoints as <wpt>, typed so
+   they load back with the same icons; the GeoJSON keeps them as
+   the Point features they were.
+   ============================================================ */
+
+'use strict';
+
+/**
+ * Wire up the trip download buttons and the per-day GPX links.
+ * @param {string}   tripId
+ * @param {object}   meta       - Parsed meta.json
+ * @param {object[]} dayResults - Results from loadAllDays()
+ */
+function buildDownloads(tripId, meta, dayResults) {
+  const validDays = dayResults.filter(d => d.ok && d.geojson);
+  if (validDays.length === 0) return;
+
+  const container = document.getElementById('trip-downloads');
+  if (container) {
+    container.innerHTML = `
+      <span class="trip-downloads-label">Download track</span>
+      <button type="button" class="trip-download-btn" data-export="gpx">GPX</button>
+      <button type="button" class="trip-download-btn" data-export="geojson">GeoJSON</button>
+    `;
+    container.style.display = '';
+
+    container.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-export]');
+      if (!btn) return;
+      if (btn.dataset.export === 'gpx') {
+        downloadFile(`${tripId}.gpx`, buildGpx(meta, validDays), 'application/gpx+xml');
+      } else {
+        downloadFile(`${tripId}.geojson`, JSON.stringify(buildMergedGeoJSON(meta, validDays)), 'application/geo+json');
+      }
+    });
+  }
+
+  // Per-day links rendered by buildDayTable()
+  const tbody = document.getElementById('days-tbody');
+  if (tbody) {
+    tbody.addEventListener('click', (e) => {
+      const link = e.target.closest('.day-download');
+      if (!link) return;
+      e.preventDefault();
+      const day = validDays.find(d => d.index === Number(link.dataset.dayIndex));
+      if (day) {
+        downloadFile(`${tripId}-day-${day.dayNumber}.gpx`, buildGpx(meta, [day]), 'application/gpx+xml');
+      }
+    });
+  }
+}
+
+/* ---- GPX -------------------------------------------------- */
+
+/**
+ * Build a GPX 1.1 document with one track per day, plus the days'
+ * waypoints (see waypoints.js).
+ * @param {object}   meta
+ * @param {object[]} days - Loaded day results
+ * @returns {string}
+ */
+function buildGpx(meta, days) {
+  const title = meta.title || '';
+  const desc  = [meta.description, exportDateRange(meta)].filter(Boolean).join(' — ');
+
+  let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="McD Moves" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${xmlEsc(title)}</name>
+    <desc>${xmlEsc(desc)}</desc>
+  </metadata>
+`;
+
+  // Campsites, water etc. — GPX puts waypoints before the tracks
+  for (const day of days) {
+    for (const wp of day.waypoints || []) {
+      xml += `  <wpt lat="${wp.coord[1]}" lon="${wp.coord[0]}">`;
+      if (typeof wp.coord[2] === 'number') xml += `<ele>${wp.coord[2]}</ele>`;
+      xml += `<name>${xmlEsc(waypointName(wp))}</name>`;
+      if (wp.description) xml += `<desc>${xmlEsc(wp.description)}</desc>`;
+      xml += `<type>${xmlEsc(wp.type)}</type></wpt>\n`;
+    }
+  }
+
+  for (const day of days) {
+    const lines = dayLines(day.geojson);
+    if (lines.length === 0) continue;
+
+    xml += `  <trk>
+    <name>${xmlEsc(dayExportName(day))}</name>
+    <number>${day.dayNumber}</number>
+`;
+    for (const line of lines) {
+      xml += '    <trkseg>\n';
+      line.coords.forEach((c, i) => {
+        xml += `      <trkpt lat="${c[1]}" lon="${c[0]}">`;
+        if (typeof c[2] === 'number') xml += `<ele>${c[2]}</ele>`;
+        if (line.times[i])            xml += `<time>${xmlEsc(line.times[i])}</time>`;
+        xml += '</trkpt>\n';
+      });
+      xml += '    </trkseg>\n';
+    }
+    xml += '  </trk>\n';
+  }
+
+  xml += '</gpx>\n';
+  return xml;
+}
+
+/* ---- GeoJSON ---------------------------------------------- */
+
+/**
+ * Merge every day into one FeatureCollection.
+ * Trip metadata is kept as top-level members; each feature keeps its own
+ * properties (including the day name) plus its day number.
+ * @param {object}   meta
+ * @param {object[]} days - Loaded day results
+ * @returns {object}
+ */
+function buildMergedGeoJSON(meta, days) {
+  const features = [];
+
+  for (const day of days) {
+    for (const feature of toFeatures(day.geojson)) {
+      features.push({
+        ...feature,
+        properties: { ...(feature.properties || {}), day: day.dayNumber },
+      });
+    }
+  }
+
+  return {
+    type: 'FeatureCollection',
+    name: meta.title || '',
+    description: meta.description || '',
+    start_date: meta.start_date || null,
+    start_time: meta.start_time || null,
+    end_date: meta.end_date || null,
+    end_time: meta.end_time || null,
+    features,
+  };
+}
+
+/* ---- Helpers ---------------------------------------------- */
+
+/** Normalise any GeoJSON object into a list of Features. */
+function toFeatures(geojson) {
+  if (!geojson) return [];
+  if (geojson.type === 'FeatureCollection') return geojson.features || [];
+  if (geojson.type === 'Feature') return [geojson];
+  return [{ type: 'Feature', properties: {}, geometry: geojson }];
+}
+
+/**
+ * Every line of a day's track with its matching timestamps.
+ * @returns {{coords: number[][], times: (string|null)[]}[]} times as ISO strings
+ */
+function dayLines(geojson) {
+  const lines = [];
+
+  for (const feature of toFeatures(geojson)) {
+    const geom  = feature.geometry;
+    const times = (feature.properties && feature.properties.coordTimes) || [];
+    if (!geom) continue;
+
+    if (geom.type === 'LineString') {
+      lines.push({ coords: geom.coordinates || [], times });
+    } else if (geom.type === 'MultiLineString') {
+      (geom.coordinates || []).forEach((coords, i) => {
+        lines.push({ coords, times: Array.isArray(times[i]) ? times[i] : [] });
+      });
+    }
+  }
+
+  // Times may also be a 4th coordinate value; GPX wants ISO strings either way
+  for (const line of lines) {
+    line.times = line.coords.map((c, i) => {
+      const t = parseTimestamp(line.times[i] != null ? line.times[i] : c[3]);
+      return t != null ? new Date(t).toISOString() : null;
+    });
+  }
+
+  return lines.filter(l => l.coords.length);
+}
+
+/** "Day 3 — Twin Lakes", or just "Day 3" when the track has no name of its own. */
+function dayExportName(day) {
+  const label = `Day ${day.dayNumber}`;
+  if (!day.name || day.name === label) return label;
+  return `${label} — ${day.name}`;
+}
+
+function exportDateRange(meta) {
+  if (!meta.start_date) return '';
+  if (!meta.end_date || meta.end_date === meta.start_date) return meta.start_date;
+  return `${meta.start_date} to ${meta.end_date}`;
+}
+
+function xmlEsc(str) {
+  return String(str == null ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,185 @@
+/* ============================================================
+   HIKING JOURNAL — filters.js
+   Sort, filter and search controls for the homepage trip cards.
+
+   Sort:    listed order (trips.json), newest / oldest start date,
+            distance, elevation gain or duration
+   Filter:  year (of the start date), trail and region
+   Search:  words in the title or description
+
+   The trail comes from meta.json "trail" (or the title — see
+   lifetime.js); the region from the optional "region" field,
+   e.g.  "region": "Georgia"
+   A filter is only offered when the trips have more than one
+   value to choose from.
+
+   The current choice is kept in the URL query, e.g.
+     index.html?sort=distance&trail=Appalachian+Trail&q=shenandoah
+   so a filtered list can be bookmarked or shared.
+
+   Requires utils.js to be loaded first.
+   ============================================================ */
+
+'use strict';
+
+const TRIP_SORTS = {
+  listed:   { label: 'Listed order',     compare: () => 0 },
+  newest:   { label: 'Newest first',     compare: (a, b) => compareMissingLast(a.start_date, b.start_date, (x, y) => y.localeCompare(x)) },
+  oldest:   { label: 'Oldest first',     compare: (a, b) => compareMissingLast(a.start_date, b.start_date, (x, y) => x.localeCompare(y)) },
+  distance: { label: 'Longest distance', compare: (a, b) => compareMissingLast(a.totalDistance,  b.totalDistance,  (x, y) => y - x) },
+  vertical: { label: 'Most elevation',   compare: (a, b) => compareMissingLast(a.totalElevation, b.totalElevation, (x, y) => y - x) },
+  duration: { label: 'Longest duration', compare: (a, b) => compareMissingLast(tripDurationMs(a), tripDurationMs(b), (x, y) => y - x) },
+};
+
+const TRIP_FILTERS = [
+  { key: 'year',   label: 'All years',   value: trip => trip.start_date ? trip.start_date.slice(0, 4) : null },
+  { key: 'trail',  label: 'All trails',  value: trip => trip.trail  || null },
+  { key: 'region', label: 'All regions', value: trip => trip.region || null },
+];
+
+/**
+ * Render the controls into #trip-controls and call render() with
+ * the matching trips whenever they change (and once straight away).
+ * @param {object[]} trips  - Results from computeTripData(), in trips.json order
+ * @param {function} render - Called with (visibleTrips, state)
+ */
+function buildTripFilters(trips, render) {
+  const controls = document.getElementById('trip-controls');
+  const state    = readFilterState();
+
+  const update = () => {
+    writeFilterState(state);
+    const visible = applyTripFilters(trips, state);
+    render(visible, state);
+
+    const count = controls && controls.querySelector('.trip-controls-count');
+    if (count) {
+      count.textContent = visible.length === trips.length
+        ? `${trips.length} trips`
+        : `${visible.length} of ${trips.length} trips`;
+    }
+  };
+
+  if (!controls) {
+    update();
+    return;
+  }
+
+  const selects = TRIP_FILTERS
+    .map(filter => ({ filter, options: filterOptions(trips, filter) }))
+    .filter(({ options }) => options.length > 1);
+
+  // Drop filters from the URL that no longer match any option
+  for (const { key } of TRIP_FILTERS) {
+    const entry = selects.find(s => s.filter.key === key);
+    if (state[key] && (!entry || !entry.options.includes(state[key]))) state[key] = '';
+  }
+
+  controls.innerHTML = `
+    <label class="trip-control trip-control--search">
+      <span class="trip-control-label">Search</span>
+      <input type="search" data-filter="q" value="${escapeHtml(state.q)}" placeholder="Title or description" />
+    </label>
+    ${selects.map(({ filter, options }) => `
+      <label class="trip-control">
+        <span class="trip-control-label">${filter.key[0].toUpperCase()}${filter.key.slice(1)}</span>
+        <select data-filter="${filter.key}">
+          <option value="">${filter.label}</option>
+          ${options.map(opt => `<option value="${escapeHtml(opt)}"${opt === state[filter.key] ? ' selected' : ''}>${escapeHtml(opt)}</option>`).join('')}
+        </select>
+      </label>`).join('')}
+    <label class="trip-control">
+      <span class="trip-control-label">Sort</span>
+      <select data-filter="sort">
+        ${Object.entries(TRIP_SORTS).map(([key, def]) =>
+          `<option value="${key}"${key === state.sort ? ' selected' : ''}>${def.label}</option>`).join('')}
+      </select>
+    </label>
+    <span class="trip-controls-count"></span>
+  `;
+  controls.hidden = false;
+
+  controls.addEventListener('input', (e) => {
+    const key = e.target.dataset.filter;
+    if (!key) return;
+    state[key] = e.target.value;
+    update();
+  });
+
+  update();
+}
+
+/* ---- Filtering and sorting -------------------------------- */
+
+/**
+ * @param {object[]} trips
+ * @param {{sort: string, q: string, year: string, trail: string, region: string}} state
+ * @returns {object[]} Matching trips, sorted
+ */
+function applyTripFilters(trips, state) {
+  const words    = state.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const filtered = words.length > 0 || TRIP_FILTERS.some(f => state[f.key]);
+
+  const visible = trips.filter(trip => {
+    // Trips that failed to load only show in the unfiltered list
+    if (trip.error) return !filtered;
+
+    for (const filter of TRIP_FILTERS) {
+      if (state[filter.key] && filter.value(trip) !== state[filter.key]) return false;
+    }
+    const text = `${trip.title} ${trip.description}`.toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+
+  // Array.prototype.sort is stable, so ties keep their trips.json order
+  const sort = TRIP_SORTS[state.sort] || TRIP_SORTS.listed;
+  return visible.sort((a, b) => (a.error ? 1 : 0) - (b.error ? 1 : 0) || sort.compare(a, b));
+}
+
+/** Distinct values of one filter across the trips, sorted (years newest first). */
+function filterOptions(trips, filter) {
+  const values = new Set(trips.filter(t => !t.error).map(filter.value).filter(Boolean));
+  const sorted = [...values].sort((a, b) => a.localeCompare(b));
+  return filter.key === 'year' ? sorted.reverse() : sorted;
+}
+
+function tripDurationMs(trip) {
+  if (!trip.start_date || !trip.end_date) return null;
+  const ms = new Date(`${trip.end_date}T${trip.end_time || '00:00'}`) -
+             new Date(`${trip.start_date}T${trip.start_time || '00:00'}`);
+  return ms > 0 ? ms : null;
+}
+
+// Trips missing the value sort after those that have it, whatever the direction
+function compareMissingLast(a, b, compare) {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return compare(a, b);
+}
+
+/* ---- URL query -------------------------------------------- */
+
+function readFilterState() {
+  const params = new URLSearchParams(window.location.search);
+  const state  = { sort: params.get('sort') || 'listed', q: params.get('q') || '' };
+  if (!TRIP_SORTS[state.sort]) state.sort = 'listed';
+  for (const { key } of TRIP_FILTERS) state[key] = params.get(key) || '';
+  return state;
+}
+
+/** Write the non-default parts of the state into the query, without adding a history entry. */
+function writeFilterState(state) {
+  const params = new URLSearchParams(window.location.search);
+  for (const key of ['q', 'sort', ...TRIP_FILTERS.map(f => f.key)]) {
+    const value = key === 'q' ? state.q.trim() : state[key];
+    if (value && !(key === 'sort' && value === 'listed')) params.set(key, value);
+    else params.delete(key);
+  }
+
+  const query = params.toString();
+  const url   = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+  if (url !== window.location.pathname + window.location.search + window.location.hash) {
+    history.replaceState(null, '', url);
+  }
+}
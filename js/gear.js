@@ -4,7 +4,10 @@
 
    The gear.json file lives at:  /data/{trip_id}/gear.json
 
-   This script reads window.TRIP_ID (already set by the trip page)
+   Weights are shown in oz / lbs, or g / kg when the metric units
+   are chosen (units.js).
+
+   This script reads window.TRIP_ID (set by trip.js from the page URL)
    and constructs the path automatically — no extra config needed.
 
    To add a gear list to a trip:
@@ -24,41 +27,147 @@
        {
          "name": "Big 4",
          "items": [
-           { "gear": "Item name", "item_type": "Type", "quantity": "1", "weight_oz": "20.60" }
+           { "gear": "Item name", "item_type": "Type", "quantity": "1", "weight_oz": "20.60" },
+           { "gear": "Gas canister", "quantity": "1", "weight_oz": "7.60", "consumable": true },
+           { "ref": "sawyer-squeeze", "quantity": "1" }
          ]
        }
      ]
    }
+
+   Gear used on more than one trip can live in the shared library,
+   /data/gear-library.json, under a stable id:
+   {
+     "items": {
+       "sawyer-squeeze": { "gear": "Sawyer Squeeze", "item_type": "Water Filter", "weight_oz": "3.47" }
+     }
+   }
+   An item with "ref" takes every field from the library entry;
+   fields on the item itself override it for that trip, e.g.
+     { "ref": "stakes", "quantity": "1", "weight_oz": "3.22" }
+
+   The summary table is computed from the items (weight_oz ×
+   quantity): a subtotal per category, then base weight, worn
+   weight and consumables. An item counts as worn or consumable
+   when it has "worn": true or "consumable": true — or when its
+   category does. A category named "Worn …" counts as worn.
+   Everything else is base weight.
+
+   The hand-typed "summary" rows are optional; when one no longer
+   matches the computed weight, a warning lists the difference.
+
+   Under the summary, a bar splits the base weight by category.
+
+   Below the list, "Compare with" picks another trip and shows the
+   gear added, removed, swapped (same item type) or changed between
+   the two, and how the base weight moved. The choice is kept in the
+   URL as ?compare={trip_id}.
+
+   The item tables can be sorted by clicking a column heading and
+   narrowed with the filter box (name or item type); "Heaviest 10"
+   swaps the categories for one table of the heaviest items, and
+   "CSV" downloads the whole list (weights in oz).
+
+   Requires utils.js and units.js to be loaded first.
    ============================================================ */
 
 'use strict';
 
-document.addEventListener('DOMContentLoaded', () => {
-  const tripId   = window.TRIP_ID;
-  const dataRoot = window.DATA_ROOT || '../data';
-  if (!tripId) return;
+const GEAR_MATCH_TOLERANCE_LBS = 0.01;   // summary rows are typed to 2 decimals
+const GEAR_CHANGE_TOLERANCE_OZ = 0.005;  // item weights are typed to 2 decimals
+const GEAR_HEAVIEST_COUNT      = 10;
+
+// Sortable item columns; the first click sorts weight heaviest-first, the rest A–Z
+const GEAR_SORTS = {
+  gear:     { dir:  1, value: item => String(item.gear      || '').toLowerCase() },
+  type:     { dir:  1, value: item => String(item.item_type || '').toLowerCase() },
+  quantity: { dir:  1, value: item => parseFloat(item.quantity)  || 0 },
+  weight:   { dir: -1, value: item => parseFloat(item.weight_oz) || 0 },
+};
+
+let gearLibraryLoading = null;
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    const tripId   = window.TRIP_ID;
+    const dataRoot = window.DATA_ROOT || '../data';
+    if (!tripId) return;
 
-  loadGearList(`${dataRoot}/${tripId}/gear.json`);
-});
+    loadGearList(dataRoot, tripId);
+  });
+}
 
 /* ---- Main loader ------------------------------------------ */
-async function loadGearList(url) {
+async function loadGearList(dataRoot, tripId) {
   const section   = document.getElementById('gear-section');
   const container = document.getElementById('gear-content');
   if (!section || !container) return;
 
-  let data;
-  try {
-    const res = await fetch(url);
-    if (!res.ok) return; // No gear.json — silently hide the section
-    data = await res.json();
-  } catch {
-    return; // Network or parse error — hide silently
-  }
+  const data = await fetchGearList(dataRoot, tripId);
+  if (!data) return; // No gear.json — silently hide the section
 
   // Show section now that we have data
   section.style.display = 'block';
   container.innerHTML   = renderGearList(data);
+
+  initGearTables(container, tripId, data);
+  buildGearCompare(container, dataRoot, tripId, data);
+}
+
+/**
+ * Fetch a trip's gear.json with its library refs filled in.
+ * @returns {Promise<object|null>} null when the trip has no (readable) gear list
+ */
+async function fetchGearList(dataRoot, tripId) {
+  try {
+    const [res, library] = await Promise.all([
+      fetch(`${dataRoot}/${tripId}/gear.json`),
+      loadGearLibrary(dataRoot),
+    ]);
+    if (!res.ok) return null;
+    return resolveGearList(await res.json(), library);
+  } catch {
+    return null; // Network or parse error
+  }
+}
+
+/** The shared gear library, fetched once; an empty one when it's missing. */
+function loadGearLibrary(dataRoot) {
+  if (!gearLibraryLoading) {
+    gearLibraryLoading = fetch(`${dataRoot}/gear-library.json`)
+      .then(res => (res.ok ? res.json() : {}))
+      .catch(() => ({}));
+  }
+  return gearLibraryLoading;
+}
+
+/* ---- Library refs ----------------------------------------- */
+
+/**
+ * Copy of a gear list with every { "ref": id } item merged over its
+ * library entry. Refs missing from the library show the id as the name.
+ * @param {object} data    - Parsed gear.json
+ * @param {object} library - Parsed gear-library.json
+ * @returns {object}
+ */
+function resolveGearList(data, library) {
+  if (!data || !Array.isArray(data.categories)) return data;
+
+  const items = (library && library.items) || {};
+  return {
+    ...data,
+    categories: data.categories.map(cat => {
+      if (!cat || !Array.isArray(cat.items)) return cat;
+      return {
+        ...cat,
+        items: cat.items.map(item => {
+          if (!item || typeof item.ref !== 'string') return item;
+          const entry = items[item.ref];
+          return entry ? { ...entry, ...item } : { gear: item.ref, ...item };
+        }),
+      };
+    }),
+  };
 }
 
 /* ---- Renderer --------------------------------------------- */
@@ -70,43 +179,149 @@ function renderGearList(data) {
     html += `<p class="gear-sheet-title">${esc(data.title)}</p>`;
   }
 
-  // Summary table
-  if (Array.isArray(data.summary) && data.summary.length) {
-    html += buildSummaryTable(data.summary);
-  }
+  const categories = gearCategories(data);
+  if (categories.length === 0) return html;
+
+  // Summary table, computed from the items
+  const totals     = calcGearTotals(data);
+  const mismatches = compareGearSummary(data.summary, totals);
+  if (mismatches.length) html += buildMismatchWarning(mismatches);
+  html += buildSummaryTable(totals);
+  html += buildBaseWeightChart(totals);
+
+  // Category sections, re-rendered by initGearTables() as the view changes
+  html += buildGearToolbar();
+  html += `<div class="gear-items">${renderGearItems(categories, defaultGearView())}</div>`;
+
+  return html;
+}
+
+/* ---- Totals ---------------------------------------------- */
+
+/** Categories the page shows: named, with at least one item. */
+function gearCategories(data) {
+  if (!data || !Array.isArray(data.categories)) return [];
+  return data.categories.filter(cat => cat && cat.name && Array.isArray(cat.items) && cat.items.length);
+}
 
-  // Category sections
-  if (Array.isArray(data.categories)) {
-    for (const cat of data.categories) {
-      if (cat.name && Array.isArray(cat.items) && cat.items.length) {
-        html += buildCategorySection(cat);
+/**
+ * Add up a gear list from its items.
+ * @param {object} data - Parsed gear.json
+ * @returns {{categories: {name: string, oz: number, baseOz: number, worn: boolean}[],
+ *            baseOz: number, wornOz: number, consumableOz: number, hasConsumables: boolean}}
+ *          A category is "worn" when every item in it is worn.
+ */
+function calcGearTotals(data) {
+  const totals = { categories: [], baseOz: 0, wornOz: 0, consumableOz: 0, hasConsumables: false };
+
+  for (const cat of gearCategories(data)) {
+    let oz      = 0;
+    let baseOz  = 0;
+    let allWorn = true;
+
+    for (const item of cat.items) {
+      const itemOz = gearItemOz(item);
+      const kind   = gearItemKind(item, cat);
+      oz += itemOz;
+      if (kind !== 'worn') allWorn = false;
+
+      if (kind === 'consumable') {
+        totals.consumableOz  += itemOz;
+        totals.hasConsumables = true;
+      } else if (kind === 'worn') {
+        totals.wornOz += itemOz;
+      } else {
+        totals.baseOz += itemOz;
+        baseOz        += itemOz;
       }
     }
+
+    totals.categories.push({ name: cat.name, oz, baseOz, worn: allWorn });
   }
 
-  return html;
+  return totals;
+}
+
+/** weight_oz × quantity (a missing quantity counts as 1, a missing weight as 0). */
+function gearItemOz(item) {
+  const weight = parseFloat(item && item.weight_oz);
+  const qty    = parseFloat(item && item.quantity);
+  return (isNaN(weight) ? 0 : weight) * (isNaN(qty) ? 1 : qty);
+}
+
+/** 'consumable', 'worn' or 'base' — the item's own flag wins over its category's. */
+function gearItemKind(item, cat) {
+  const flag = (key, categoryDefault) =>
+    typeof item[key] === 'boolean' ? item[key] : (cat[key] === true || categoryDefault);
+
+  if (flag('consumable', false))                      return 'consumable';
+  if (flag('worn', /^worn\b/i.test(cat.name || '')))  return 'worn';
+  return 'base';
+}
+
+/**
+ * Hand-typed summary rows that disagree with the computed weights.
+ * Rows are matched by name: a category name, or a total mentioning
+ * "base", "worn" or "consumable". Rows that match nothing are skipped.
+ * @param {object[]} summary - gear.json "summary"
+ * @param {object}   totals  - From calcGearTotals()
+ * @returns {{category: string, listedLbs: number, computedLbs: number}[]}
+ */
+function compareGearSummary(summary, totals) {
+  if (!Array.isArray(summary)) return [];
+
+  const mismatches = [];
+  for (const row of summary) {
+    if (!row || typeof row.category !== 'string') continue;
+    const listedLbs = parseFloat(row.weight_lbs);
+    if (isNaN(listedLbs)) continue;
+
+    const name = row.category.trim().toLowerCase();
+    const cat  = totals.categories.find(c => c.name.trim().toLowerCase() === name);
+
+    let computedOz;
+    if (cat)                            computedOz = cat.oz;
+    else if (/\bbase\b/.test(name))     computedOz = totals.baseOz;
+    else if (/\bworn\b/.test(name))     computedOz = totals.wornOz;
+    else if (/\bconsumable/.test(name)) computedOz = totals.consumableOz;
+    else continue;
+
+    const computedLbs = computedOz / 16;
+    if (Math.abs(computedLbs - listedLbs) > GEAR_MATCH_TOLERANCE_LBS) {
+      mismatches.push({ category: row.category, listedLbs, computedLbs });
+    }
+  }
+  return mismatches;
 }
 
 /* ---- Summary table --------------------------------------- */
-function buildSummaryTable(rows) {
+function buildSummaryTable(totals) {
   let html = `
     <table class="gear-summary-table">
       <thead>
         <tr class="gear-summary-header">
           <th>Category</th>
-          <th>Weight (lbs)</th>
+          <th>Weight (${totalWeightUnit()})</th>
         </tr>
       </thead>
       <tbody>
   `;
 
-  for (const row of rows) {
-    const isTotal = row.category.toLowerCase().startsWith('total');
-    const cls     = isTotal ? ' class="gear-summary-total"' : '';
+  // Worn-only categories are covered by the worn total
+  const rows = totals.categories
+    .filter(cat => !cat.worn)
+    .map(cat => [cat.name, cat.oz, false]);
+
+  rows.push(['Total Base Weight', totals.baseOz, true]);
+  if (totals.wornOz > 0)     rows.push(['Total Worn Weight', totals.wornOz, true]);
+  if (totals.hasConsumables) rows.push(['Total Consumables', totals.consumableOz, true]);
+
+  for (const [category, oz, isTotal] of rows) {
+    const cls = isTotal ? ' class="gear-summary-total"' : '';
     html += `
         <tr${cls}>
-          <td>${esc(row.category)}</td>
-          <td>${esc(row.weight_lbs)}</td>
+          <td>${esc(category)}</td>
+          <td>${esc(formatTotalWeight(oz / 16))}</td>
         </tr>`;
   }
 
@@ -117,8 +332,180 @@ function buildSummaryTable(rows) {
   return html;
 }
 
+function buildMismatchWarning(mismatches) {
+  const unit = totalWeightUnit();
+  return `
+    <div class="gear-warning" role="note">
+      The summary typed into gear.json doesn't match its items — the weights below are
+      added up from the items instead:
+      <ul>
+        ${mismatches.map(m => `
+          <li>${esc(m.category)}: listed ${formatTotalWeight(m.listedLbs)} ${unit},
+            items add up to ${formatTotalWeight(m.computedLbs)} ${unit}</li>`).join('')}
+      </ul>
+    </div>`;
+}
+
+/* ---- Base weight chart ----------------------------------- */
+
+/** One bar split by each category's share of the base weight, with a legend. */
+function buildBaseWeightChart(totals) {
+  const parts = totals.categories
+    .map((cat, i) => ({ name: cat.name, oz: cat.baseOz, color: dayColorNeutral(i) }))
+    .filter(part => part.oz > 0);
+  if (parts.length === 0 || totals.baseOz <= 0) return '';
+
+  let x = 0;
+  const rects = parts.map(part => {
+    const width = part.oz / totals.baseOz * 100;
+    const rect  = `<rect x="${x.toFixed(3)}" y="0" width="${width.toFixed(3)}" height="1" fill="${part.color}" />`;
+    x += width;
+    return rect;
+  });
+
+  return `
+    <figure class="gear-chart">
+      <figcaption class="gear-chart-title">Base weight by category</figcaption>
+      <svg class="gear-chart-bar" viewBox="0 0 100 1" preserveAspectRatio="none" aria-hidden="true">
+        ${rects.join('\n        ')}
+      </svg>
+      <ul class="gear-chart-legend">
+        ${parts.map(part => `
+          <li>
+            <span class="gear-chart-swatch" style="background:${part.color}"></span>
+            ${esc(part.name)}
+            <span class="gear-chart-value">${esc(formatTotalWeight(part.oz / 16))} ${totalWeightUnit()} · ${Math.round(part.oz / totals.baseOz * 100)}%</span>
+          </li>`).join('')}
+      </ul>
+    </figure>`;
+}
+
+/* ---- Item tables ------------------------------------------ */
+
+function defaultGearView() {
+  return { sort: null, dir: 1, query: '', heaviest: false };
+}
+
+function buildGearToolbar() {
+  return `
+    <div class="gear-toolbar">
+      <label class="gear-filter">
+        <span class="gear-compare-label">Filter</span>
+        <input type="search" data-gear-filter placeholder="Name or item type" />
+      </label>
+      <button type="button" class="trip-download-btn" data-gear-action="heaviest" aria-pressed="false">Heaviest ${GEAR_HEAVIEST_COUNT}</button>
+      <button type="button" class="trip-download-btn" data-gear-action="csv">CSV</button>
+    </div>`;
+}
+
+/**
+ * Sort, filter and download wiring for the rendered list.
+ * @param {HTMLElement} container - #gear-content
+ * @param {string} tripId
+ * @param {object} data - Resolved gear list
+ */
+function initGearTables(container, tripId, data) {
+  const toolbar = container.querySelector('.gear-toolbar');
+  const items   = container.querySelector('.gear-items');
+  if (!toolbar || !items) return;
+
+  const categories = gearCategories(data);
+  const view       = defaultGearView();
+  const heaviest   = toolbar.querySelector('[data-gear-action="heaviest"]');
+
+  const update = () => {
+    items.innerHTML = renderGearItems(categories, view);
+    heaviest.setAttribute('aria-pressed', String(view.heaviest));
+  };
+
+  toolbar.addEventListener('input', (e) => {
+    if (!e.target.matches('[data-gear-filter]')) return;
+    view.query = e.target.value;
+    update();
+  });
+
+  toolbar.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-gear-action]');
+    if (!btn) return;
+    if (btn.dataset.gearAction === 'heaviest') {
+      view.heaviest = !view.heaviest;
+      update();
+    } else if (btn.dataset.gearAction === 'csv') {
+      downloadFile(`${tripId}-gear.csv`, buildGearCsv(data), 'text/csv');
+    }
+  });
+
+  // Same column again flips the direction
+  items.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-sort]');
+    if (!btn) return;
+    const key = btn.dataset.sort;
+    view.dir  = view.sort === key ? -view.dir : GEAR_SORTS[key].dir;
+    view.sort = key;
+    update();
+    const again = items.querySelector(`[data-sort="${key}"]`);
+    if (again) again.focus();
+  });
+}
+
+/**
+ * The category tables (or the heaviest-items table) for a view.
+ * @param {object[]} categories - From gearCategories()
+ * @param {{sort: string|null, dir: number, query: string, heaviest: boolean}} view
+ * @returns {string}
+ */
+function renderGearItems(categories, view) {
+  const words = view.query.toLowerCase().split(/\s+/).filter(Boolean);
+  const match = item => {
+    const text = `${item.gear || ''} ${item.item_type || ''}`.toLowerCase();
+    return words.every(word => text.includes(word));
+  };
+
+  let html;
+  if (view.heaviest) {
+    const rows = categories
+      .flatMap(cat => cat.items.filter(match).map(item => ({ item, cat })))
+      .sort((a, b) => gearItemOz(b.item) - gearItemOz(a.item))
+      .slice(0, GEAR_HEAVIEST_COUNT);
+    html = rows.length ? buildHeaviestTable(rows) : '';
+  } else {
+    html = categories
+      .map(cat => {
+        const items = sortGearItems(cat.items.filter(match), view);
+        return items.length ? buildCategorySection(cat, items, view) : '';
+      })
+      .join('');
+  }
+
+  return html || `<p class="gear-compare-note">No gear matches “${esc(view.query.trim())}”.</p>`;
+}
+
+// Array.prototype.sort is stable, so ties keep their gear.json order
+function sortGearItems(items, view) {
+  const sort = GEAR_SORTS[view.sort];
+  if (!sort) return items;
+  return [...items].sort((a, b) => {
+    const x = sort.value(a);
+    const y = sort.value(b);
+    return view.dir * (typeof x === 'string' ? x.localeCompare(y) : x - y);
+  });
+}
+
 /* ---- Category section ------------------------------------ */
-function buildCategorySection(cat) {
+
+/**
+ * @param {object}   cat
+ * @param {object[]} [items] - The items to show, in order (all of them by default)
+ * @param {object}   [view]  - Current sort, for the column headings
+ */
+function buildCategorySection(cat, items = cat.items, view = defaultGearView()) {
+  const heading = (key, label) => {
+    const sorted = view.sort === key;
+    const aria   = sorted ? ` aria-sort="${view.dir > 0 ? 'ascending' : 'descending'}"` : '';
+    const arrow  = sorted ? (view.dir > 0 ? ' ▲' : ' ▼') : '';
+    return `<th${aria}><button type="button" class="gear-sort" data-sort="${key}">${label}${arrow}</button></th>`;
+  };
+
   let html = `
     <div class="gear-category">
       <h3 class="gear-category-name">${esc(cat.name)}</h3>
@@ -131,33 +518,348 @@ function buildCategorySection(cat) {
         </colgroup>
         <thead>
           <tr>
-            <th>Gear</th>
-            <th>Item Type</th>
-            <th>Qty</th>
-            <th>Weight (oz)</th>
+            ${heading('gear',     'Gear')}
+            ${heading('type',     'Item Type')}
+            ${heading('quantity', 'Qty')}
+            ${heading('weight',   `Weight (${itemWeightUnit()})`)}
           </tr>
         </thead>
         <tbody>
   `;
 
-  for (const item of cat.items) {
+  let subtotalOz = 0;
+  for (const item of items) {
+    subtotalOz += gearItemOz(item);
+
     html += `
           <tr>
-            <td>${esc(item.gear      || '')}</td>
+            <td>${esc(item.gear      || '')}${gearItemTag(item, cat)}</td>
             <td>${esc(item.item_type || '')}</td>
             <td>${esc(item.quantity  || '')}</td>
-            <td>${esc(item.weight_oz || '')}</td>
+            <td>${esc(formatItemWeight(item.weight_oz || ''))}</td>
           </tr>`;
   }
 
   html += `
+          <tr class="gear-subtotal">
+            <td colspan="3">${items.length === cat.items.length ? 'Subtotal' : `Subtotal of ${items.length} shown`}</td>
+            <td>${esc(formatItemWeight(subtotalOz))}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>`;
+
+  return html;
+}
+
+/** Heaviest items across all categories; weights are weight × qty. */
+function buildHeaviestTable(rows) {
+  return `
+    <div class="gear-category">
+      <h3 class="gear-category-name">Heaviest ${rows.length}</h3>
+      <table class="gear-items-table">
+        <colgroup>
+          <col style="width:50%">
+          <col style="width:25%">
+          <col style="width:8%">
+          <col style="width:17%">
+        </colgroup>
+        <thead>
+          <tr>
+            <th>Gear</th>
+            <th>Category</th>
+            <th>Qty</th>
+            <th>Total (${itemWeightUnit()})</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(({ item, cat }) => `
+          <tr>
+            <td>${esc(item.gear || '')}${gearItemTag(item, cat)}</td>
+            <td>${esc(cat.name)}</td>
+            <td>${esc(item.quantity || '')}</td>
+            <td>${esc(formatItemWeight(gearItemOz(item)))}</td>
+          </tr>`).join('')}
         </tbody>
       </table>
     </div>`;
+}
+
+// Flag items whose kind differs from the rest of their category
+function gearItemTag(item, cat) {
+  const kind = gearItemKind(item, cat);
+  return kind !== 'base' && kind !== gearItemKind({}, cat)
+    ? ` <span class="gear-tag">${kind}</span>`
+    : '';
+}
+
+/* ---- CSV export ------------------------------------------- */
+
+/**
+ * The whole list as CSV, one row per item, weights in ounces.
+ * @param {object} data - Resolved gear list
+ * @returns {string}
+ */
+function buildGearCsv(data) {
+  const rows = [['Category', 'Gear', 'Item Type', 'Quantity', 'Weight (oz)', 'Total (oz)', 'Counts as', 'Library id']];
+  for (const cat of gearCategories(data)) {
+    for (const item of cat.items) {
+      rows.push([
+        cat.name,
+        item.gear      || '',
+        item.item_type || '',
+        item.quantity  || '',
+        item.weight_oz || '',
+        gearItemOz(item).toFixed(2),
+        gearItemKind(item, cat),
+        item.ref       || '',
+      ]);
+    }
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/* ---- Comparison ------------------------------------------- */
+
+/**
+ * Add the "Compare with" picker above the item tables.
+ * @param {HTMLElement} container - #gear-content, already rendered
+ * @param {string} dataRoot
+ * @param {string} tripId - This trip
+ * @param {object} data   - This trip's resolved gear list
+ */
+async function buildGearCompare(container, dataRoot, tripId, data) {
+  let others;
+  try {
+    const [index, summary] = await Promise.all([
+      fetch(`${dataRoot}/trips.json`).then(res => res.json()),
+      fetch(`${dataRoot}/summary.json`).then(res => (res.ok ? res.json() : {})).catch(() => ({})),
+    ]);
+    const titles = (summary && summary.trips) || {};
+    others = index
+      .map(entry => entry.trip_id)
+      .filter(id => id && id !== tripId)
+      .map(id => ({ id, title: (titles[id] && titles[id].title) || id }));
+  } catch {
+    return; // No trip index — nothing to compare with
+  }
+  if (others.length === 0) return;
+
+  const wrap = document.createElement('div');
+  wrap.className = 'gear-compare';
+  wrap.innerHTML = `
+    <label class="gear-compare-control">
+      <span class="gear-compare-label">Compare with</span>
+      <select>
+        <option value="">Choose a trip…</option>
+        ${others.map(t => `<option value="${esc(t.id)}">${esc(t.title)}</option>`).join('')}
+      </select>
+    </label>
+    <div class="gear-compare-result" aria-live="polite"></div>`;
+  container.insertBefore(wrap, container.querySelector('.gear-toolbar'));
+
+  const select = wrap.querySelector('select');
+  const result = wrap.querySelector('.gear-compare-result');
+
+  const show = async (otherId) => {
+    writeCompareParam(otherId);
+    if (!otherId) {
+      result.innerHTML = '';
+      return;
+    }
+
+    const title = others.find(t => t.id === otherId).title;
+    result.innerHTML = `<p class="gear-compare-note">Loading…</p>`;
+    const other = await fetchGearList(dataRoot, otherId);
+    if (select.value !== otherId) return; // Picked another trip meanwhile
+
+    result.innerHTML = other
+      ? renderGearComparison(compareGearLists(other, data), title)
+      : `<p class="gear-compare-note">${esc(title)} has no gear list.</p>`;
+  };
+
+  select.addEventListener('change', () => show(select.value));
+
+  const initial = new URLSearchParams(window.location.search).get('compare');
+  if (initial && others.some(t => t.id === initial)) {
+    select.value = initial;
+    show(initial);
+  }
+}
+
+/** Keep ?compare= in step with the picker, without adding a history entry. */
+function writeCompareParam(otherId) {
+  const params = new URLSearchParams(window.location.search);
+  if (otherId) params.set('compare', otherId);
+  else params.delete('compare');
+
+  const query = params.toString();
+  history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+}
+
+/**
+ * What changed from one gear list to another. Items are the same
+ * when they share a library ref (or, without one, a name) and count
+ * the same way (base / worn / consumable). Of the rest, an added and
+ * a removed item with the same item type count as a swap.
+ * @param {object} fromData - The earlier (other) trip's resolved gear list
+ * @param {object} toData   - This trip's resolved gear list
+ * @returns {{added: object[], removed: object[], swapped: {from, to}[], changed: {from, to}[],
+ *            totals: {from: object, to: object}}}
+ *          Entries are { item, kind, key, type, oz }; totals come from calcGearTotals()
+ */
+function compareGearLists(fromData, toData) {
+  const from = gearEntries(fromData);
+  const to   = gearEntries(toData);
+
+  // Pair entries with the same key, in list order
+  const unpaired = new Map();
+  for (const entry of from) {
+    if (!unpaired.has(entry.key)) unpaired.set(entry.key, []);
+    unpaired.get(entry.key).push(entry);
+  }
+
+  const added   = [];
+  const changed = [];
+  const paired  = new Set();
+  for (const entry of to) {
+    const match = (unpaired.get(entry.key) || []).shift();
+    if (!match) {
+      added.push(entry);
+      continue;
+    }
+    paired.add(match);
+    if (Math.abs(match.oz - entry.oz) > GEAR_CHANGE_TOLERANCE_OZ) changed.push({ from: match, to: entry });
+  }
+  const removed = from.filter(entry => !paired.has(entry));
+
+  // Left-over items of the same type replaced one another
+  const swapped = [];
+  for (const entry of [...added]) {
+    const i = removed.findIndex(r => r.type && r.type === entry.type && r.kind === entry.kind);
+    if (i === -1) continue;
+    swapped.push({ from: removed.splice(i, 1)[0], to: entry });
+    added.splice(added.indexOf(entry), 1);
+  }
+
+  return {
+    added, removed, swapped, changed,
+    totals: { from: calcGearTotals(fromData), to: calcGearTotals(toData) },
+  };
+}
+
+function gearEntries(data) {
+  const entries = [];
+  for (const cat of gearCategories(data)) {
+    for (const item of cat.items) {
+      if (!item || typeof item !== 'object') continue;
+      const kind = gearItemKind(item, cat);
+      const id   = typeof item.ref === 'string'
+        ? `ref:${item.ref}`
+        : `gear:${String(item.gear || '').trim().toLowerCase()}`;
+      entries.push({
+        item,
+        kind,
+        key:  `${id}|${kind}`,
+        type: String(item.item_type || '').trim().toLowerCase(),
+        oz:   gearItemOz(item),
+      });
+    }
+  }
+  return entries;
+}
+
+function renderGearComparison(diff, otherTitle) {
+  const { from, to } = diff.totals;
+
+  const totals = [['Base Weight', from.baseOz, to.baseOz]];
+  if (from.wornOz > 0 || to.wornOz > 0)           totals.push(['Worn Weight', from.wornOz, to.wornOz]);
+  if (from.hasConsumables || to.hasConsumables)  totals.push(['Consumables', from.consumableOz, to.consumableOz]);
+
+  const name    = e => esc(e.item.gear || '');
+  const qty     = e => esc(e.item.quantity || '');
+  const qtyPair = ({ from: a, to: b }) => (qty(a) === qty(b) ? qty(b) : `${qty(a)} → ${qty(b)}`);
+
+  const sections = [
+    ['Added',   diff.added.map(e   => [name(e), e.item.item_type, qty(e), e.oz])],
+    ['Removed', diff.removed.map(e => [name(e), e.item.item_type, qty(e), -e.oz])],
+    ['Swapped', diff.swapped.map(p => [`${name(p.from)} → ${name(p.to)}`, p.to.item.item_type, qtyPair(p), p.to.oz - p.from.oz])],
+    ['Changed', diff.changed.map(p => [name(p.to), p.to.item.item_type, qtyPair(p), p.to.oz - p.from.oz])],
+  ].filter(([, rows]) => rows.length);
+
+  let html = `
+    <p class="gear-compare-note">Changes from <strong>${esc(otherTitle)}</strong> to this trip.</p>
+    <table class="gear-summary-table gear-compare-totals">
+      <thead>
+        <tr class="gear-summary-header">
+          <th>Weight (${totalWeightUnit()})</th>
+          <th>${esc(otherTitle)}</th>
+          <th>This trip</th>
+          <th>Change</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${totals.map(([label, a, b]) => `
+          <tr class="gear-summary-total">
+            <td>${label}</td>
+            <td>${esc(formatTotalWeight(a / 16))}</td>
+            <td>${esc(formatTotalWeight(b / 16))}</td>
+            <td>${esc(formatWeightChange((b - a) / 16, formatTotalWeight))}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>`;
+
+  if (sections.length === 0) {
+    return html + `<p class="gear-compare-note">Same gear on both trips.</p>`;
+  }
+
+  for (const [heading, rows] of sections) {
+    html += `
+    <div class="gear-category">
+      <h3 class="gear-category-name">${heading} (${rows.length})</h3>
+      <table class="gear-items-table">
+        <colgroup>
+          <col style="width:50%">
+          <col style="width:25%">
+          <col style="width:8%">
+          <col style="width:17%">
+        </colgroup>
+        <thead>
+          <tr>
+            <th>Gear</th>
+            <th>Item Type</th>
+            <th>Qty</th>
+            <th>Change (${itemWeightUnit()})</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(([gearHtml, type, qtyHtml, oz]) => `
+          <tr>
+            <td>${gearHtml}</td>
+            <td>${esc(type || '')}</td>
+            <td>${qtyHtml}</td>
+            <td>${esc(formatWeightChange(oz, formatItemWeight))}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>`;
+  }
 
   return html;
 }
 
+/** "+8.14" / "−0.40" with the given formatter; no sign when it rounds to zero. */
+function formatWeightChange(value, format) {
+  const text = format(Math.abs(value));
+  if (parseFloat(text.replace(/,/g, '')) === 0) return text;
+  return `${value > 0 ? '+' : '−'}${text}`;
+}
+
 /* ---- Helper ---------------------------------------------- */
 function esc(str) {
   return String(str || '')
@@ -166,3 +868,8 @@ function esc(str) {
     .replace(/>/g, '&gt;')
     .replace(/"/g, '&quot;');
 }
+
+/* ---- Node export (scripts/validate-data.js) --------------- */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { calcGearTotals, compareGearSummary, resolveGearList, compareGearLists };
+}
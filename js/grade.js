@@ -0,0 +1,408 @@
+/* ============================================================
+   HIKING JOURNAL — grade.js
+   Route colouring by grade or elevation, and the hardest
+   sections of each day, for the trip page.
+
+   "Color by" above the map switches the route between:
+     - Day       — one colour per day (the default)
+     - Grade     — each stretch by its slope, averaged over about
+                   GRADE_WINDOW_MILES so GPS jitter doesn't show
+     - Elevation — each stretch by its height, lowest to highest
+                   point of the trip
+   with a legend beside the switch. The day routes stay in place
+   (invisible) underneath, so hover, click and the day panel
+   work the same in every mode.
+
+   Hardest sections: each day's track is split into climbs and
+   descents wherever it turns by more than SECTION_REVERSAL_M.
+   The steepest few of each per day — by average grade — are
+   listed below the day table with their length, gain or loss
+   and where they are. Click one to zoom the map to it.
+
+   Everything is computed from the coordinates extractCoords()
+   returns; days without elevation are left out.
+
+   Requires utils.js, units.js, waypoints.js and Leaflet to be
+   loaded first.
+   ============================================================ */
+
+'use strict';
+
+const GRADE_WINDOW_MILES   = 0.1;
+const SECTION_REVERSAL_M   = 15;    // a dip or bump smaller than this doesn't end a climb
+const SECTION_MIN_CHANGE_M = 40;    // ~130 ft: smaller climbs aren't worth listing
+const SECTION_MIN_MILES    = 0.2;
+const HARDEST_PER_DAY      = 2;     // climbs, and descents, listed per day
+const METRES_PER_MILE      = 1609.344;
+
+// Slope bands, steepest descent → steepest climb (grade in %)
+const GRADE_BANDS = [
+  { below: -15,      color: '#4f7cac', label: 'Below −15%' },
+  { below: -8,       color: '#6f9bc0', label: '−15 to −8%' },
+  { below: -3,       color: '#9dbbd0', label: '−8 to −3%' },
+  { below: 3,        color: '#d8d0c0', label: '−3 to 3%' },
+  { below: 8,        color: '#e0b46a', label: '3 to 8%' },
+  { below: 15,       color: '#d9814a', label: '8 to 15%' },
+  { below: Infinity, color: '#c4463a', label: 'Above 15%' },
+];
+
+// Lowest → highest point of the trip
+const ELEVATION_COLOR_STOPS = ['#5b8c5a', '#a3b068', '#d8c36a', '#c98a4b', '#b5533c', '#f5f0e8'];
+const ELEVATION_COLOR_STEPS = 20;
+
+const ROUTE_COLOR_MODES = [
+  { key: 'day',       label: 'Day' },
+  { key: 'grade',     label: 'Grade' },
+  { key: 'elevation', label: 'Elevation' },
+];
+
+let routeColorMode = 'day';
+
+/** True while the route is coloured by grade or elevation — trip.js hides the day lines then. */
+function isRouteColored() {
+  return routeColorMode !== 'day';
+}
+
+/* ---- Map colouring ---------------------------------------- */
+
+/**
+ * Add the "Color by" switch and legend above the map.
+ * @param {object[]} dayResults - Results from loadAllDays() (need .coords, and .layer once mapped)
+ * @param {L.Map|null} map      - Leaflet map returned by buildMap()
+ * @param {function} onChange   - Called after the mode changes, to restyle the day routes
+ */
+function buildRouteColoring(dayResults, map, onChange) {
+  const container = document.getElementById('route-style');
+  if (!container || !map) return;
+
+  const days = dayResults.filter(d => d.ok && hasElevation(d.coords));
+  if (days.length === 0) return;
+
+  const range = elevationRange(days);
+  map.createPane('routeColors');
+  map.getPane('routeColors').style.zIndex        = 390;   // under the day routes' hover targets
+  map.getPane('routeColors').style.pointerEvents = 'none';
+
+  const layers = {};
+  const layerFor = (mode) => {
+    if (!layers[mode]) {
+      layers[mode] = L.layerGroup(days.flatMap(day =>
+        colorRuns(day.coords, mode === 'grade' ? gradeColors(day.coords) : elevationColors(day.coords, range))
+          .map(run => L.polyline(run.coords.map(([lon, lat]) => [lat, lon]), {
+            pane: 'routeColors',
+            color: run.color,
+            weight: 4,
+            opacity: 1,
+            lineCap: 'round',
+            lineJoin: 'round',
+            interactive: false,
+          }))
+      ));
+    }
+    return layers[mode];
+  };
+
+  container.innerHTML = `
+    <span class="route-style-label">Color by</span>
+    <span class="route-style-toggle" role="group" aria-label="Color route by">
+      ${ROUTE_COLOR_MODES.map(m => `
+        <button type="button" data-route-style="${m.key}" aria-pressed="${m.key === routeColorMode}">${m.label}</button>`).join('')}
+    </span>
+    <div class="route-style-legend" id="route-style-legend"></div>
+  `;
+  container.hidden = false;
+
+  const legend = container.querySelector('#route-style-legend');
+
+  container.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-route-style]');
+    if (!btn || btn.dataset.routeStyle === routeColorMode) return;
+
+    if (layers[routeColorMode]) layers[routeColorMode].remove();
+    routeColorMode = btn.dataset.routeStyle;
+    if (isRouteColored()) layerFor(routeColorMode).addTo(map);
+
+    container.querySelectorAll('[data-route-style]').forEach(b => {
+      b.setAttribute('aria-pressed', String(b === btn));
+    });
+    legend.innerHTML = renderRouteLegend(routeColorMode, range);
+    if (onChange) onChange(routeColorMode);
+  });
+}
+
+function renderRouteLegend(mode, range) {
+  if (mode === 'grade') {
+    return GRADE_BANDS.map(band => `
+      <span class="route-legend-item">
+        <span class="legend-swatch" style="background:${band.color}"></span>${band.label}
+      </span>`).join('');
+  }
+  if (mode === 'elevation') {
+    return `
+      <span class="route-legend-item">${formatElevation(range.min * 3.28084)}</span>
+      <span class="route-legend-ramp" style="background:linear-gradient(to right, ${ELEVATION_COLOR_STOPS.join(', ')})"></span>
+      <span class="route-legend-item">${formatElevation(range.max * 3.28084)}</span>`;
+  }
+  return '';
+}
+
+/**
+ * Colour per segment (between point i and i + 1) by slope.
+ * @returns {string[]}
+ */
+function gradeColors(coords) {
+  return smoothedGrades(coords).map(grade => GRADE_BANDS.find(b => grade < b.below).color);
+}
+
+/** Colour per segment by the height of its midpoint. */
+function elevationColors(coords, range) {
+  const ele  = fillElevation(coords);
+  const span = range.max - range.min || 1;
+  const out  = [];
+  for (let i = 1; i < ele.length; i++) {
+    const f = ((ele[i - 1] + ele[i]) / 2 - range.min) / span;
+    out.push(elevationColor(Math.round(f * ELEVATION_COLOR_STEPS) / ELEVATION_COLOR_STEPS));
+  }
+  return out;
+}
+
+/** Colour at f (0–1) along ELEVATION_COLOR_STOPS. */
+function elevationColor(f) {
+  const stops = ELEVATION_COLOR_STOPS;
+  const pos   = Math.min(Math.max(f, 0), 1) * (stops.length - 1);
+  const i     = Math.min(Math.floor(pos), stops.length - 2);
+  const a     = hexToRgb(stops[i]);
+  const b     = hexToRgb(stops[i + 1]);
+  const t     = pos - i;
+  return `rgb(${a.map((v, k) => Math.round(v + (b[k] - v) * t)).join(', ')})`;
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/** Join consecutive segments of the same colour into one line each. */
+function colorRuns(coords, colors) {
+  const runs = [];
+  colors.forEach((color, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.color === color) last.coords.push(coords[i + 1]);
+    else runs.push({ color, coords: [coords[i], coords[i + 1]] });
+  });
+  return runs;
+}
+
+/* ---- Grade and elevation ---------------------------------- */
+
+function hasElevation(coords) {
+  return Array.isArray(coords) && coords.some(c => typeof c[2] === 'number');
+}
+
+/** Elevation in metres per point, gaps filled from the nearest point before (or after) them. */
+function fillElevation(coords) {
+  const first = coords.find(c => typeof c[2] === 'number');
+  let last = first ? first[2] : 0;
+  return coords.map(c => {
+    if (typeof c[2] === 'number') last = c[2];
+    return last;
+  });
+}
+
+/** Lowest and highest point of the trip, in metres. */
+function elevationRange(days) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const day of days) {
+    for (const c of day.coords) {
+      if (typeof c[2] !== 'number') continue;
+      if (c[2] < min) min = c[2];
+      if (c[2] > max) max = c[2];
+    }
+  }
+  return { min, max };
+}
+
+/**
+ * Grade (%) per segment, over GRADE_WINDOW_MILES centred on it
+ * (or the segment itself where that is longer).
+ * @returns {number[]}
+ */
+function smoothedGrades(coords) {
+  const ele   = fillElevation(coords);
+  const miles = calcCumulativeDistance(coords);
+  const half  = GRADE_WINDOW_MILES / 2;
+  const out   = [];
+  let k = 0;
+  let j = 0;
+
+  for (let i = 0; i < coords.length - 1; i++) {
+    const mid = (miles[i] + miles[i + 1]) / 2;
+    while (k < i && miles[k + 1] <= mid - half) k++;
+    if (j < i + 1) j = i + 1;
+    while (j < coords.length - 1 && miles[j] < mid + half) j++;
+
+    const run = (miles[j] - miles[k]) * METRES_PER_MILE;
+    out.push(run > 0 ? (ele[j] - ele[k]) / run * 100 : 0);
+  }
+  return out;
+}
+
+/* ---- Hardest sections ------------------------------------- */
+
+/**
+ * Split a day's track into climbs and descents. A climb ends at its
+ * top once the track has dropped SECTION_REVERSAL_M below it (and
+ * the other way round for descents).
+ * @returns {{kind: 'climb'|'descent', start: number, end: number, miles: number,
+ *            startMiles: number, change: number, grade: number}[]}
+ *   start / end index into coords; startMiles from the start of the day;
+ *   change in metres (negative going down); grade in %
+ */
+function findClimbs(coords) {
+  if (!hasElevation(coords) || coords.length < 2) return [];
+
+  const ele   = fillElevation(coords);
+  const miles = calcCumulativeDistance(coords);
+  const runs  = [];
+  let dir    = 0;    // 1 climbing, -1 descending, 0 not yet known
+  let start  = 0;
+  let ext    = 0;    // the highest (or lowest) point since start
+  let minIdx = 0;
+  let maxIdx = 0;
+
+  const close = (end) => {
+    const dist = miles[end] - miles[start];
+    runs.push({
+      kind:       dir > 0 ? 'climb' : 'descent',
+      start,
+      end,
+      miles:      dist,
+      startMiles: miles[start],
+      change:     ele[end] - ele[start],
+      grade:      dist > 0 ? (ele[end] - ele[start]) / (dist * METRES_PER_MILE) * 100 : 0,
+    });
+  };
+
+  for (let i = 1; i < ele.length; i++) {
+    if (dir === 0) {
+      if (ele[i] < ele[minIdx]) minIdx = i;
+      if (ele[i] > ele[maxIdx]) maxIdx = i;
+      if (ele[i] - ele[minIdx] >= SECTION_REVERSAL_M)      { dir = 1;  start = minIdx; ext = i; }
+      else if (ele[maxIdx] - ele[i] >= SECTION_REVERSAL_M) { dir = -1; start = maxIdx; ext = i; }
+      continue;
+    }
+
+    if ((ele[i] - ele[ext]) * dir > 0) {
+      ext = i;
+    } else if ((ele[ext] - ele[i]) * dir >= SECTION_REVERSAL_M) {
+      close(ext);
+      dir   = -dir;
+      start = ext;
+      ext   = i;
+    }
+  }
+  if (dir !== 0) close(ext);
+
+  return runs;
+}
+
+/**
+ * The steepest climbs and descents of every day.
+ * @returns {object[]} Runs from findClimbs() plus { day, coords }, by day then steepness
+ */
+function findHardestSections(dayResults) {
+  const sections = [];
+  for (const day of dayResults) {
+    if (!day.ok) continue;
+
+    const runs = findClimbs(day.coords).filter(r =>
+      Math.abs(r.change) >= SECTION_MIN_CHANGE_M && r.miles >= SECTION_MIN_MILES);
+
+    for (const kind of ['climb', 'descent']) {
+      runs
+        .filter(r => r.kind === kind)
+        .sort((a, b) => Math.abs(b.grade) - Math.abs(a.grade))
+        .slice(0, HARDEST_PER_DAY)
+        .forEach(r => sections.push({ ...r, day, coords: day.coords.slice(r.start, r.end + 1) }));
+    }
+  }
+  return sections;
+}
+
+/**
+ * Render the hardest sections table; clicking a row zooms the map to it.
+ * @param {object[]} dayResults
+ * @param {L.Map|null} map
+ */
+function buildHardestSections(dayResults, map) {
+  const section = document.getElementById('hardest-section');
+  const tbody   = document.getElementById('hardest-tbody');
+  if (!section || !tbody) return;
+
+  const sections = findHardestSections(dayResults);
+  if (sections.length === 0) return;
+
+  tbody.innerHTML = sections.map((s, i) => {
+    const feet = Math.abs(s.change) * 3.28084;
+    return `
+      <tr class="hardest-row" data-section-index="${i}" tabindex="0">
+        <td>
+          <span class="day-color-dot" style="background:${dayColorNeutral(s.day.index)}"></span>
+          Day ${s.day.dayNumber}
+        </td>
+        <td>${s.kind === 'climb' ? 'Climb' : 'Descent'}</td>
+        <td>${formatDistance(s.miles)}</td>
+        <td>${s.kind === 'climb' ? '+' : '−'}${formatElevation(feet, 10)}</td>
+        <td>${Math.abs(s.grade).toFixed(1)}%</td>
+        <td class="hardest-where">${escapeHtml(describeSectionPlace(s))}</td>
+      </tr>`;
+  }).join('');
+  section.hidden = false;
+
+  let highlight = null;
+  const select = (row) => {
+    const s = sections[Number(row.dataset.sectionIndex)];
+    if (!s || !map) return;
+
+    tbody.querySelectorAll('.hardest-row').forEach(r => r.classList.toggle('is-active', r === row));
+    if (highlight) highlight.remove();
+    highlight = L.polyline(s.coords.map(([lon, lat]) => [lat, lon]), {
+      className: 'hardest-highlight',
+      color: '#f5f0e8',
+      weight: 6,
+      opacity: 0.9,
+      dashArray: '2 8',
+      lineCap: 'round',
+      interactive: false,
+    }).addTo(map);
+
+    const mapEl = map.getContainer();
+    if (mapEl.scrollIntoView) mapEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    map.fitBounds(highlight.getBounds(), { padding: [48, 48] });
+  };
+
+  tbody.addEventListener('click', (e) => {
+    const row = e.target.closest('.hardest-row');
+    if (row) select(row);
+  });
+  tbody.addEventListener('keydown', (e) => {
+    const row = e.target.closest('.hardest-row');
+    if (row && (e.key === 'Enter' || e.key === ' ')) {
+      e.preventDefault();
+      select(row);
+    }
+  });
+}
+
+/** "Miles 4.2–5.8 · near Twin Lakes" — distance into the day, and a nearby waypoint if any. */
+function describeSectionPlace(s) {
+  const from  = convertDistance(s.startMiles);
+  const to    = convertDistance(s.startMiles + s.miles);
+  const unit  = isMetric() ? 'Km' : 'Miles';
+  const parts = [`${unit} ${from.toFixed(1)}–${to.toFixed(1)}`];
+
+  const wp = nearestWaypoint(s.day, s.coords[0]) || nearestWaypoint(s.day, s.coords[s.coords.length - 1]);
+  if (wp) parts.push(`near ${waypointName(wp)}`);
+  return parts.join(' · ');
+}
@@ -0,0 +1,179 @@
+/* ============================================================
+   HIKING JOURNAL — journal.js
+   Renders a trip's journal from Markdown.
+
+   The journal lives at:  /data/{trip_id}/journal.md
+
+   Supported syntax:
+     Blank line             — starts a new paragraph
+     # / ## / ### Heading   — section headings
+     ## Day 3 — Twin Lakes  — a heading starting "Day N" links to
+                              that day's route on the map
+     **bold**  *italic*  [link text](https://…)
+
+     {{photo twin-lakes.jpg | Alt text | Optional caption}}
+                            — on its own line; becomes a full-width
+                              figure.journal-photo. A bare filename is
+                              looked up in /photos/{trip_id}/.
+
+   Anything else is shown as plain text — HTML is escaped.
+
+   If journal.md doesn't exist for a trip, the section stays hidden.
+   ============================================================ */
+
+'use strict';
+
+const JOURNAL_PHOTO_RE = /^\{\{\s*photo\s+([^|}]+?)\s*(?:\|\s*([^|}]*?)\s*)?(?:\|\s*([^}]*?)\s*)?\}\}$/i;
+const JOURNAL_DAY_RE   = /^Day\s+(\d+)\b/i;
+
+/**
+ * Fetch and render journal.md into the journal section.
+ * @param {string}   tripId
+ * @param {string}   dataRoot
+ * @param {function} [onDaySelect] - Called with the day number when a "Day N" heading is clicked
+ * @returns {Promise<object[]>} The journal's photos as { url, alt, caption, dayNumber } (for photos.js)
+ */
+async function buildJournal(tripId, dataRoot, onDaySelect) {
+  const section   = document.getElementById('journal-section');
+  const container = document.getElementById('journal-content');
+  if (!section || !container) return [];
+
+  let markdown;
+  try {
+    const res = await fetch(`${dataRoot}/${tripId}/journal.md`);
+    if (!res.ok) return []; // No journal.md — leave the section hidden
+    markdown = await res.text();
+  } catch {
+    return []; // Network error — hide silently
+  }
+
+  const photos = [];
+  const html   = renderJournal(markdown, tripId, photos);
+  if (!html) return [];
+
+  container.innerHTML = html;
+  section.hidden = false;
+
+  if (onDaySelect) {
+    container.addEventListener('click', (e) => {
+      const link = e.target.closest('.journal-day-link');
+      if (!link) return;
+      e.preventDefault();
+      onDaySelect(Number(link.dataset.day));
+    });
+  }
+
+  return photos;
+}
+
+/* ---- Markdown → HTML -------------------------------------- */
+
+/**
+ * Render journal Markdown. Consecutive paragraphs share one
+ * div.journal-entry so the existing journal styles apply.
+ * @param {string}   markdown
+ * @param {string}   tripId   - Used to resolve bare photo filenames
+ * @param {object[]} [photos] - Filled with each photo's { url, alt, caption, dayNumber }
+ * @returns {string} HTML
+ */
+function renderJournal(markdown, tripId, photos = []) {
+  const blocks = markdown
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(b => b.trim())
+    .filter(Boolean);
+
+  let html = '';
+  let paragraphs = [];
+  let dayNumber  = null; // photos under a "Day N" heading belong to that day…
+  let dayLevel   = 0;    // …until the next heading at the same level or above
+
+  const flushParagraphs = () => {
+    if (paragraphs.length === 0) return;
+    html += `<div class="journal-entry">\n${paragraphs.join('\n')}\n</div>\n`;
+    paragraphs = [];
+  };
+
+  for (const block of blocks) {
+    // A block may mix lines of text with headings / photos on their own lines
+    let text = [];
+    const flushText = () => {
+      if (text.length) paragraphs.push(`<p>${renderInline(text.join(' '))}</p>`);
+      text = [];
+    };
+
+    for (const line of block.split('\n').map(l => l.trim())) {
+      const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+      const photo   = line.match(JOURNAL_PHOTO_RE);
+
+      if (heading) {
+        flushText();
+        flushParagraphs();
+        html += renderHeading(heading[1].length, heading[2]);
+        const level = heading[1].length;
+        const day   = heading[2].match(JOURNAL_DAY_RE);
+        if (day) {
+          dayNumber = Number(day[1]);
+          dayLevel  = level;
+        } else if (level <= dayLevel) {
+          dayNumber = null;
+          dayLevel  = 0;
+        }
+      } else if (photo) {
+        flushText();
+        flushParagraphs();
+        const entry = { url: photoUrl(tripId, photo[1]), alt: photo[2] || '', caption: photo[3] || '', dayNumber };
+        photos.push(entry);
+        html += renderPhoto(entry);
+      } else {
+        text.push(line);
+      }
+    }
+    flushText();
+  }
+
+  flushParagraphs();
+  return html;
+}
+
+/** # → h3, ## → h4, ### and deeper → h5 (the section title is the h2). */
+function renderHeading(level, text) {
+  const tag = `h${Math.min(level + 2, 5)}`;
+  const day = text.match(JOURNAL_DAY_RE);
+
+  if (day) {
+    return `<${tag} class="journal-heading journal-day-heading">` +
+      `<a class="journal-day-link" href="#trip-map" data-day="${day[1]}" title="Show Day ${day[1]} on the map">${renderInline(text)}</a>` +
+      `</${tag}>\n`;
+  }
+  return `<${tag} class="journal-heading">${renderInline(text)}</${tag}>\n`;
+}
+
+function renderPhoto({ url, alt, caption }) {
+  return `<figure class="journal-photo">
+  <img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}" loading="lazy" />
+  ${caption ? `<figcaption>${renderInline(caption)}</figcaption>` : ''}
+</figure>\n`;
+}
+
+/** Bare filenames live in /photos/{trip}/; paths and URLs are used as-is. */
+function photoUrl(tripId, src) {
+  return /[/:]/.test(src) ? src : `../photos/${tripId}/${src}`;
+}
+
+/** Escape, then apply **bold**, *italic* and [links](url). */
+function renderInline(text) {
+  return escapeHtml(text)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+      if (/^\s*javascript:/i.test(href)) return label;
+      return `<a href="${href}">${label}</a>`;
+    })
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*?)\*/g, '$1<em>$2</em>');
+}
+
+/* ---- Node export (scripts/validate-data.js) --------------- */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { JOURNAL_PHOTO_RE };
+}
@@ -0,0 +1,168 @@
+/* ============================================================
+   HIKING JOURNAL — lifetime.js
+   Homepage lifetime stats dashboard.
+
+   Adds up every trip main.js loaded: total miles, vertical,
+   trail days and trips, then breaks the same numbers down by
+   year (of the start date) and by trail.
+
+   A trip's trail is the optional "trail" field in meta.json,
+   e.g.  "trail": "Appalachian Trail"
+   Without it, the part of the title before " - " is used, so
+   "Appalachian Trail - Springer Mountain to Unicoi Gap" counts
+   towards the Appalachian Trail (tripTrailName() in utils.js).
+   Each trail links to its trail page, trails/trail.html.
+
+   Trips whose meta.json failed to load are left out of the
+   totals and counted in a note below them.
+
+   A "Share image" button draws the totals and every route as a
+   PNG (share.js).
+
+   Requires utils.js, units.js and share.js to be loaded first.
+   ============================================================ */
+
+'use strict';
+
+/**
+ * Render the dashboard into #lifetime-stats.
+ * @param {object[]} trips - Results from computeTripData()
+ */
+function buildLifetimeStats(trips) {
+  const section = document.getElementById('lifetime-stats');
+  if (!section) return;
+
+  const totals = calcLifetimeTotals(trips);
+  if (totals.trips === 0) {
+    section.hidden = true;
+    return;
+  }
+
+  section.innerHTML = `
+    <h2>Lifetime</h2>
+    <div class="trip-stats-row lifetime-totals">
+      ${renderLifetimeStat('Distance',       Math.round(convertDistance(totals.distance)),        isMetric() ? 'kilometres' : 'miles')}
+      ${renderLifetimeStat('Elevation gain', Math.round(convertElevation(totals.elevation) / 10) * 10, isMetric() ? 'metres' : 'feet')}
+      ${renderLifetimeStat('Trail days',     totals.days,  'days')}
+      ${renderLifetimeStat('Trips',          totals.trips, 'trips')}
+    </div>
+
+    <div class="lifetime-breakdowns">
+      ${renderLifetimeTable('Year',  totals.byYear)}
+      ${renderLifetimeTable('Trail', totals.byTrail, trailLink)}
+    </div>
+
+    <div class="share" id="lifetime-share"></div>
+
+    ${totals.failed ? `
+      <p class="lifetime-note">
+        ${totals.failed} ${totals.failed === 1 ? 'trip' : 'trips'} could not be loaded and
+        ${totals.failed === 1 ? 'is' : 'are'} not included.
+      </p>` : ''}
+  `;
+  section.hidden = false;
+
+  // "Share image" of every route with these totals (share.js)
+  buildLifetimeShare(document.getElementById('lifetime-share'), trips, totals);
+}
+
+/* ---- Totals ----------------------------------------------- */
+
+/**
+ * @param {object[]} trips - Results from computeTripData()
+ * @returns {{distance: number, elevation: number, days: number, trips: number, failed: number,
+ *            byYear: object[], byTrail: object[]}}
+ *          byYear / byTrail rows are { key, distance, elevation, days, trips }
+ */
+function calcLifetimeTotals(trips) {
+  const totals  = emptyLifetimeRow(null);
+  const byYear  = new Map();
+  const byTrail = new Map();
+  let failed = 0;
+
+  for (const trip of trips) {
+    if (trip.error) {
+      failed++;
+      continue;
+    }
+
+    const year  = trip.start_date ? trip.start_date.slice(0, 4) : 'Undated';
+    const trail = trip.trail || 'Other';
+
+    if (!byYear.has(year))   byYear.set(year, emptyLifetimeRow(year));
+    if (!byTrail.has(trail)) byTrail.set(trail, emptyLifetimeRow(trail));
+
+    for (const row of [totals, byYear.get(year), byTrail.get(trail)]) {
+      row.distance  += trip.totalDistance  || 0;
+      row.elevation += trip.totalElevation || 0;
+      row.days      += trip.dayCount       || 0;
+      row.trips     += 1;
+    }
+  }
+
+  // Newest year first; longest trail first
+  const years  = [...byYear.values()].sort((a, b) => b.key.localeCompare(a.key));
+  const trails = [...byTrail.values()].sort((a, b) => b.distance - a.distance);
+
+  return { ...roundLifetimeRow(totals), failed, byYear: years.map(roundLifetimeRow), byTrail: trails.map(roundLifetimeRow) };
+}
+
+function emptyLifetimeRow(key) {
+  return { key, distance: 0, elevation: 0, days: 0, trips: 0 };
+}
+
+// Sums of rounded per-trip numbers pick up float noise (49.99999…)
+function roundLifetimeRow(row) {
+  return {
+    ...row,
+    distance:  Math.round(row.distance * 10) / 10,
+    elevation: Math.round(row.elevation / 10) * 10,
+  };
+}
+
+/* ---- Rendering -------------------------------------------- */
+
+// "Other" collects trips without a trail, so it has no page
+function trailLink(row) {
+  if (row.key === 'Other') return escapeHtml(row.key);
+  return `<a href="trails/trail.html?id=${encodeURIComponent(trailSlug(row.key))}">${escapeHtml(row.key)}</a>`;
+}
+
+function renderLifetimeStat(label, value, unit) {
+  return `
+    <div class="trip-stat-block">
+      <div class="label">${label}</div>
+      <div class="value">${formatNumber(value)}</div>
+      <div class="unit">${unit}</div>
+    </div>`;
+}
+
+/**
+ * @param {string}   heading
+ * @param {object[]} rows
+ * @param {function} [linkKey] - Returns the first cell's HTML for a row
+ */
+function renderLifetimeTable(heading, rows, linkKey) {
+  return `
+    <table class="lifetime-table">
+      <thead>
+        <tr>
+          <th>${heading}</th>
+          <th>Trips</th>
+          <th>Distance</th>
+          <th>Elevation gain</th>
+          <th>Days</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(row => `
+          <tr>
+            <td>${linkKey ? linkKey(row) : escapeHtml(row.key)}</td>
+            <td>${row.trips}</td>
+            <td>${formatDistance(row.distance)}</td>
+            <td>${formatElevation(row.elevation, 10)}</td>
+            <td>${row.days}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
@@ -2,14 +2,27 @@
    HIKING JOURNAL — main.js
    Homepage script.
 
-   Reads /data/trips.json for the list of trips (trip_id + page_url).
+   Reads /data/trips.json for the list of trips (trip_id + page_url)
+   and /data/summary.json, the prebuilt stats index written by
+   scripts/build-summary.js.
    For each trip:
      1. Fetches /data/{trip_id}/meta.json  → title, dates, day file list
-     2. Fetches each day's GeoJSON         → computes distance & elevation
-   Then renders a trip card with live-computed stats.
-
-   To add a new trip: add one entry to trips.json with trip_id and page_url.
-   No stats need to be entered manually.
+     2. If summary.json has an entry built from this exact meta.json,
+        uses its precomputed distance, elevation, duration and outline
+        (no tracks are downloaded; a day file edited since the summary
+        was built is caught offline by scripts/validate-data.js)
+     3. Otherwise fetches each day's track → computes distance & elevation
+        (GeoJSON, GPX, KML or TCX — see tracks.js) and a simplified
+        outline of the route
+   Then renders a trip card with a route thumbnail (overview.js), and the lifetime totals above the
+   cards (lifetime.js). Cards can be sorted, filtered and searched
+   (filters.js).
+
+   To add a new trip: add one entry to trips.json with its trip_id.
+   page_url is optional — cards link to trips/trip.html?id={trip_id}
+   unless it is set.
+   No stats need to be entered manually — the card is computed live until
+   the summary is rebuilt.
    ============================================================ */
 
 'use strict';
@@ -31,7 +44,7 @@ async function loadTrips() {
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
     tripIndex = await res.json();
   } catch (err) {
-    container.innerHTML = `<p class="error-state">Could not load trip list. (${err.message})</p>`;
+    container.innerHTML = `<p class="error-state">Could not load trip list. (${escapeHtml(err.message)})</p>`;
     return;
   }
 
@@ -42,46 +55,79 @@ async function loadTrips() {
 
   // Render skeleton cards immediately so the page doesn't look blank
   container.innerHTML = tripIndex
-    .map(t => buildSkeletonCard(t.page_url))
+    .map(t => buildSkeletonCard(tripPageUrl(t)))
     .join('');
 
+  // Prebuilt stats — optional, missing or stale entries are computed live
+  const summary = await loadSummary();
+
   // Fetch and compute each trip in parallel
   const results = await Promise.all(
-    tripIndex.map(entry => computeTripData(entry))
+    tripIndex.map(entry => computeTripData(entry, summary[entry.trip_id]))
   );
 
-  // Replace skeleton cards with real content
-  container.innerHTML = results
-    .map(trip => buildTripCard(trip))
-    .join('');
+  // Replace skeleton cards with real content, in the chosen order
+  buildTripFilters(results, (visible) => {
+    container.innerHTML = visible.length
+      ? visible.map(trip => buildTripCard(trip)).join('')
+      : `<p class="loading-state">No trips match.</p>`;
+  });
+
+  buildLifetimeStats(results);
+  buildOverviewMap(results);
+}
+
+/* ---- Load the prebuilt summary index --------------------- */
+/**
+ * @returns {Promise<object>} trip_id → summary entry ({} if summary.json is missing)
+ */
+async function loadSummary() {
+  try {
+    const res = await fetch('./data/summary.json');
+    if (!res.ok) return {};
+    const summary = await res.json();
+    return (summary && summary.trips) || {};
+  } catch {
+    return {};
+  }
 }
 
-/* ---- Fetch meta.json + all GeoJSON for one trip ------------ */
-async function computeTripData(entry) {
-  const { trip_id, page_url } = entry;
+/* ---- Fetch meta.json + all day tracks for one trip -------- */
+/**
+ * @param {object} entry          - trips.json entry
+ * @param {object} [summaryEntry] - This trip's entry from summary.json, if any
+ */
+async function computeTripData(entry, summaryEntry) {
+  const { trip_id } = entry;
   const dataRoot = './data';
 
   const result = {
     trip_id,
-    page_url,
+    page_url: tripPageUrl(entry),
     title: trip_id,
     description: '',
     start_date: null,
     start_time: null,
     end_date: null,
     end_time: null,
+    trail: null,
+    region: null,
+    dayCount: 0,
     totalDistance: null,
     totalElevation: null,
     duration: null,
+    outline: [],      // per day: [lon, lat] points, or null if the day failed
     error: null,
   };
 
   // 1. Fetch meta.json
   let meta;
+  let metaText;
   try {
     const res = await fetch(`${dataRoot}/${trip_id}/meta.json`);
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    meta = await res.json();
+    metaText = await res.text();
+    meta = JSON.parse(metaText);
   } catch (err) {
     result.error = `Could not load meta.json (${err.message})`;
     return result;
@@ -93,6 +139,9 @@ async function computeTripData(entry) {
   result.start_time  = meta.start_time  || null;
   result.end_date    = meta.end_date    || null;
   result.end_time    = meta.end_time    || null;
+  result.trail       = tripTrailName(meta);
+  result.region      = typeof meta.region === 'string' && meta.region.trim() ? meta.region.trim() : null;
+  result.dayCount    = Array.isArray(meta.days) ? meta.days.length : 0;
 
   // Duration formatted as "5d 4h 3m"
   if (meta.start_date && meta.end_date) {
@@ -102,13 +151,24 @@ async function computeTripData(entry) {
     );
   }
 
-  // 2. Fetch all day GeoJSON files and compute totals
+  // 2. Use the prebuilt stats if they were built from this meta.json
+  //    (entries from before outlines were added are computed live)
+  if (summaryEntry && summaryEntry.meta_hash === hashString(metaText) &&
+      Array.isArray(summaryEntry.outline)) {
+    result.totalDistance  = summaryEntry.totalDistance;
+    result.totalElevation = summaryEntry.totalElevation;
+    result.outline        = summaryEntry.outline.map(str => str ? decodeOutline(str) : null);
+    return result;
+  }
+
+  // 3. Fetch all day files and compute totals
   const dayFiles = Array.isArray(meta.days) ? meta.days : [];
   if (dayFiles.length === 0) return result;
 
+  const thresholdM = getElevationThreshold(meta);
   const dayResults = await Promise.all(
     dayFiles.map(filename =>
-      fetchDayStats(`${dataRoot}/${trip_id}/${filename}`)
+      fetchDayStats(`${dataRoot}/${trip_id}/${filename}`, thresholdM)
     )
   );
 
@@ -124,16 +184,15 @@ async function computeTripData(entry) {
 
   result.totalDistance  = Math.round(totalDistance  * 10) / 10;
   result.totalElevation = Math.round(totalElevation / 10) * 10;
+  result.outline        = dayResults.map(day => day.outline);
 
   return result;
 }
 
-/* ---- Fetch a single GeoJSON file and return stats ---------- */
-async function fetchDayStats(url) {
+/* ---- Fetch a single day file and return stats ------------- */
+async function fetchDayStats(url, thresholdM) {
   try {
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const geojson = await res.json();
+    const geojson = await fetchDayTrack(url);
 
     const coords = extractCoords(geojson);
     const props  = getFirstFeatureProps(geojson);
@@ -144,48 +203,27 @@ async function fetchDayStats(url) {
 
     const elevation = (props && props.elevation_gain_ft != null)
       ? props.elevation_gain_ft
-      : calcElevationGain(coords);
+      : calcElevationGain(coords, thresholdM);
 
-    return { ok: true, distance, elevation };
-  } catch {
-    return { ok: false, distance: 0, elevation: 0 };
-  }
-}
+    const outline = coords.length ? simplifyCoords(coords) : null;
 
-/* ---- GeoJSON helpers -------------------------------------- */
-function extractCoords(geojson) {
-  if (!geojson) return [];
-  if (geojson.type === 'FeatureCollection') {
-    for (const f of geojson.features || []) {
-      const c = extractCoordsFromGeometry(f.geometry);
-      if (c.length) return c;
-    }
+    return { ok: true, distance, elevation, outline };
+  } catch {
+    return { ok: false, distance: 0, elevation: 0, outline: null };
   }
-  if (geojson.type === 'Feature')
-    return extractCoordsFromGeometry(geojson.geometry);
-  return extractCoordsFromGeometry(geojson);
-}
-
-function extractCoordsFromGeometry(geometry) {
-  if (!geometry) return [];
-  if (geometry.type === 'LineString')      return geometry.coordinates || [];
-  if (geometry.type === 'MultiLineString') return (geometry.coordinates || []).flat();
-  return [];
 }
 
-function getFirstFeatureProps(geojson) {
-  if (!geojson) return null;
-  if (geojson.type === 'FeatureCollection')
-    return (geojson.features?.[0]?.properties) || null;
-  if (geojson.type === 'Feature')
-    return geojson.properties || null;
-  return null;
+/* ---- Trip page link -------------------------------------- */
+/** The shared trip page for this trips.json entry, unless page_url overrides it. */
+function tripPageUrl(entry) {
+  return entry.page_url || `trips/trip.html?id=${encodeURIComponent(entry.trip_id)}`;
 }
 
 /* ---- Card renderers --------------------------------------- */
 function buildSkeletonCard(pageUrl) {
   return `
     <a class="trip-card trip-card--loading" href="${pageUrl || '#'}">
+      <div class="trip-card-thumb trip-skeleton"></div>
       <div class="trip-card-info">
         <div class="trip-card-title trip-skeleton" style="width:55%;height:1.4rem;"></div>
         <div class="trip-card-dates trip-skeleton" style="width:38%;height:0.85rem;margin:0.5rem 0 0.9rem;"></div>
@@ -201,12 +239,13 @@ function buildSkeletonCard(pageUrl) {
 
 function buildTripCard(trip) {
   const dateRange = buildDateRange(trip.start_date, trip.end_date);
-  const distance  = trip.totalDistance  != null ? `${trip.totalDistance} mi`               : '—';
-  const elevation = trip.totalElevation != null ? `${formatNumber(trip.totalElevation)} ft` : '—';
+  const distance  = formatDistance(trip.totalDistance);
+  const elevation = formatElevation(trip.totalElevation, 10);
   const duration  = trip.duration || '—';
 
   return `
     <a class="trip-card" href="${trip.page_url || '#'}">
+      <div class="trip-card-thumb">${buildRouteThumbnail(trip.outline)}</div>
       <div class="trip-card-info">
         <div class="trip-card-title">${escapeHtml(trip.title)}</div>
         <div class="trip-card-dates">${dateRange}</div>
@@ -0,0 +1,291 @@
+/* ============================================================
+   HIKING JOURNAL — maptools.js
+   Base map switcher and map tools for the trip page.
+
+   Base layers: Satellite (ESRI World Imagery), Topo (ESRI World
+   Topo), OpenTopoMap and OpenStreetMap — all free, no API key.
+   The map opens on the trip's meta.json "base_layer", e.g.
+     "base_layer": "opentopomap"
+   else the visitor's last choice (kept in localStorage), else
+   satellite.
+
+   Tools (buttons under the zoom control):
+     - Fit to route — back to the whole trip after zooming around
+     - Fullscreen   — the map fills the screen (Esc to leave)
+     - Measure      — click points on the map for a running
+                      distance; click the button again (or Esc)
+                      to clear
+   plus a scale bar in the current units (units.js).
+
+   Requires utils.js, units.js and Leaflet to be loaded first.
+   ============================================================ */
+
+'use strict';
+
+const BASE_LAYER_STORAGE_KEY = 'mcd-moves-base-layer';
+const DEFAULT_BASE_LAYER     = 'satellite';
+
+const BASE_LAYERS = {
+  satellite: {
+    label: 'Satellite',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution: 'Tiles © Esri — Source: Esri, DigitalGlobe, GeoEye, Earthstar Geographics, CNES/Airbus DS, USDA, USGS, AeroGRID, IGN, and the GIS User Community',
+    maxZoom: 18,
+  },
+  topo: {
+    label: 'Topo',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Topo_Map/MapServer/tile/{z}/{y}/{x}',
+    attribution: 'Tiles © Esri — Esri, HERE, Garmin, Intermap, USGS, NGA, and the GIS User Community',
+    maxZoom: 18,
+  },
+  opentopomap: {
+    label: 'OpenTopoMap',
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    attribution: 'Map data © <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, SRTM — Style © <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)',
+    maxZoom: 17,
+  },
+  osm: {
+    label: 'OpenStreetMap',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxZoom: 19,
+  },
+};
+
+// 24×24 stroke icons for the tool buttons
+const MAP_TOOL_ICONS = {
+  fit:        'M4 11 12 4l8 7M6 9.5V20h12V9.5',
+  fullscreen: 'M4 9V4h5M15 4h5v5M20 15v5h-5M9 20H4v-5',
+  measure:    'M3 17 17 3l4 4L7 21zM7 13l2 2M10 10l2 2M13 7l2 2',
+};
+
+const measuringMaps = new WeakSet();
+const layerControls = new WeakMap();
+
+/* ---- Base layers ------------------------------------------ */
+
+/**
+ * Add the base layer switcher and show the starting layer.
+ * @param {L.Map} map
+ * @param {string} [tripDefault] - meta.json "base_layer"
+ * @returns {string} Key of the layer shown
+ */
+function addBaseLayers(map, tripDefault) {
+  const start  = pickBaseLayer(tripDefault);
+  const layers = {};
+
+  for (const [key, def] of Object.entries(BASE_LAYERS)) {
+    const layer = L.tileLayer(def.url, { attribution: def.attribution, maxZoom: def.maxZoom });
+    layers[def.label] = layer;
+    if (key === start) layer.addTo(map);
+  }
+
+  // One layers control per map — waypoints.js adds its overlays to it
+  layerControls.set(map, L.control.layers(layers, null, { position: 'topright' }).addTo(map));
+
+  // The starting layer is only added once the map has a view, which fires
+  // baselayerchange too — only remember changes made after that
+  map.whenReady(() => {
+    map.on('baselayerchange', (e) => {
+      const key = Object.keys(BASE_LAYERS).find(k => BASE_LAYERS[k].label === e.name);
+      if (key) saveBaseLayer(key);
+    });
+  });
+
+  return start;
+}
+
+/**
+ * The map's base layer switcher, for adding overlays to.
+ * @param {L.Map} map
+ * @returns {L.Control.Layers|null} null if addBaseLayers() wasn't called
+ */
+function mapLayerControl(map) {
+  return layerControls.get(map) || null;
+}
+
+/**
+ * The trip's default, else the visitor's last choice, else satellite.
+ * A trip that sets "base_layer" always opens on it, so one pick
+ * elsewhere doesn't override every trip's default.
+ */
+function pickBaseLayer(tripDefault) {
+  if (BASE_LAYERS[tripDefault]) return tripDefault;
+
+  let saved = null;
+  try {
+    saved = localStorage.getItem(BASE_LAYER_STORAGE_KEY);
+  } catch {
+    // Storage blocked (private mode, file://)
+  }
+  return BASE_LAYERS[saved] ? saved : DEFAULT_BASE_LAYER;
+}
+
+function saveBaseLayer(key) {
+  try {
+    localStorage.setItem(BASE_LAYER_STORAGE_KEY, key);
+  } catch {
+    // Storage blocked — the choice can't be kept
+  }
+}
+
+/* ---- Tools ------------------------------------------------ */
+
+/**
+ * Scale bar, plus fit-to-route, fullscreen and measure buttons.
+ * @param {L.Map} map
+ * @param {L.LatLngBounds|null} routeBounds - The whole trip, or null if it has none
+ */
+function addMapTools(map, routeBounds) {
+  L.control.scale({ position: 'bottomleft', metric: isMetric(), imperial: !isMetric() }).addTo(map);
+
+  const measure   = createMeasureTool(map);
+  const container = map.getContainer();
+
+  const syncFullscreen = () => {
+    const on  = document.fullscreenElement === container || container.classList.contains('is-fullscreen');
+    const btn = container.querySelector('[data-map-tool="fullscreen"]');
+    if (btn) btn.setAttribute('aria-pressed', String(on));
+    map.invalidateSize();
+  };
+
+  const tools = L.control({ position: 'topleft' });
+  tools.onAdd = () => {
+    const bar = L.DomUtil.create('div', 'leaflet-bar map-tools');
+    bar.innerHTML = [
+      routeBounds ? mapToolButton('fit', 'Fit map to route') : '',
+      mapToolButton('fullscreen', 'Fullscreen map', false),
+      mapToolButton('measure', 'Measure distance', false),
+    ].join('');
+
+    // Keep button clicks from reaching the map (and the measure tool)
+    L.DomEvent.disableClickPropagation(bar);
+    L.DomEvent.on(bar, 'click', (e) => {
+      const btn = e.target.closest('[data-map-tool]');
+      if (!btn) return;
+      const tool = btn.dataset.mapTool;
+      if (tool === 'fit')        map.fitBounds(routeBounds, { padding: [32, 32] });
+      if (tool === 'fullscreen') toggleMapFullscreen(map, syncFullscreen);
+      if (tool === 'measure')    btn.setAttribute('aria-pressed', String(measure.toggle()));
+    });
+    return bar;
+  };
+  tools.addTo(map);
+
+  document.addEventListener('fullscreenchange', syncFullscreen);
+
+  // Registered before the day panel's listener, so this Esc doesn't also close the panel
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    const fullscreen = container.classList.contains('is-fullscreen');
+    const measuring  = measure.active();
+    if (!fullscreen && !measuring) return;
+
+    e.stopImmediatePropagation();
+    if (fullscreen) {
+      container.classList.remove('is-fullscreen');
+      syncFullscreen();
+    }
+    if (measuring) {
+      measure.toggle();
+      const btn = container.querySelector('[data-map-tool="measure"]');
+      if (btn) btn.setAttribute('aria-pressed', 'false');
+    }
+  });
+}
+
+function mapToolButton(tool, label, pressed) {
+  const aria = pressed == null ? '' : ` aria-pressed="${pressed}"`;
+  return `
+    <button type="button" class="map-tool" data-map-tool="${tool}" title="${label}" aria-label="${label}"${aria}>
+      <svg viewBox="0 0 24 24" width="16" height="16" aria-hidden="true">
+        <path d="${MAP_TOOL_ICONS[tool]}" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linejoin="round" stroke-linecap="round"/>
+      </svg>
+    </button>`;
+}
+
+/**
+ * Fullscreen API where there is one; otherwise the map fills the
+ * window with CSS (iPhone Safari).
+ * @param {L.Map} map
+ * @param {function} onChange - Called after the CSS fallback toggles (the API fires fullscreenchange)
+ */
+function toggleMapFullscreen(map, onChange) {
+  const container = map.getContainer();
+
+  if (document.fullscreenEnabled && container.requestFullscreen) {
+    if (document.fullscreenElement === container) document.exitFullscreen();
+    else container.requestFullscreen();
+    return;
+  }
+
+  container.classList.toggle('is-fullscreen');
+  onChange();
+}
+
+/** True while the measure tool is taking clicks — route clicks shouldn't open the day panel then. */
+function isMeasuring(map) {
+  return measuringMaps.has(map);
+}
+
+/**
+ * Click-to-measure: each click adds a point; the running total
+ * sits in a tooltip on the last one.
+ * @param {L.Map} map
+ * @returns {{toggle: function(): boolean, active: function(): boolean}}
+ */
+function createMeasureTool(map) {
+  const layer  = L.layerGroup();
+  const points = [];
+  let line = null;
+  let totalMiles = 0;
+
+  const addPoint = (e) => {
+    const latlng = e.latlng;
+    const prev   = points[points.length - 1];
+    if (prev) totalMiles += haversineDistance([prev.lng, prev.lat], [latlng.lng, latlng.lat]);
+    points.push(latlng);
+
+    if (line) line.setLatLngs(points);
+    else line = L.polyline(points, { className: 'measure-line', color: '#f0e6c8', weight: 2, dashArray: '6 6', interactive: false }).addTo(layer);
+
+    layer.eachLayer(l => { if (l !== line) l.unbindTooltip(); });
+    L.circleMarker(latlng, { className: 'measure-point', radius: 4, color: '#f0e6c8', weight: 2, fillOpacity: 1, interactive: false })
+      .bindTooltip(formatDistance(totalMiles, 2), { permanent: true, direction: 'right', offset: [8, 0], className: 'measure-tooltip' })
+      .addTo(layer);
+  };
+
+  const start = () => {
+    measuringMaps.add(map);
+    layer.addTo(map);
+    map.on('click', addPoint);
+    map.doubleClickZoom.disable();
+    L.DomUtil.addClass(map.getContainer(), 'is-measuring');
+  };
+
+  const stop = () => {
+    measuringMaps.delete(map);
+    map.off('click', addPoint);
+    map.doubleClickZoom.enable();
+    L.DomUtil.removeClass(map.getContainer(), 'is-measuring');
+    layer.clearLayers();
+    layer.remove();
+    points.length = 0;
+    line = null;
+    totalMiles = 0;
+  };
+
+  return {
+    toggle: () => {
+      if (isMeasuring(map)) stop();
+      else start();
+      return isMeasuring(map);
+    },
+    active: () => isMeasuring(map),
+  };
+}
+
+/* ---- Node export (scripts/validate-data.js) --------------- */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BASE_LAYERS };
+}
@@ -0,0 +1,180 @@
+/* ============================================================
+   HIKING JOURNAL — overview.js
+   Route thumbnails for the trip cards, and the homepage
+   overview map.
+
+   Both draw the simplified outlines main.js collects for each
+   trip (from data/summary.json or the day tracks themselves):
+
+   - Thumbnails are small inline SVGs — no Leaflet, no tiles —
+     with each day colored by dayColorNeutral(), like the trip map.
+   - The overview map shows every trip's route together on one
+     Leaflet map. It's optional: Leaflet and the tiles are only
+     loaded once "Show map" is clicked. Clicking a route opens
+     that trip's page.
+
+   Requires utils.js to be loaded first.
+   ============================================================ */
+
+'use strict';
+
+const THUMB_SIZE    = 88;   // px, square
+const THUMB_PADDING = 6;    // px inside the edge
+
+const LEAFLET_CSS = 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.min.css';
+const LEAFLET_JS  = 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/leaflet.min.js';
+
+let leafletLoading = null;
+
+/* ---- Card thumbnail --------------------------------------- */
+
+/**
+ * Inline SVG outline of a trip's route.
+ * @param {(number[][]|null)[]} outline - Per day [lon, lat] points (null for failed days)
+ * @returns {string} SVG markup, or '' when there is nothing to draw
+ */
+function buildRouteThumbnail(outline) {
+  const days = (outline || [])
+    .map((points, index) => ({ points, index }))
+    .filter(d => d.points && d.points.length > 1);
+  if (days.length === 0) return '';
+
+  // Equirectangular projection, squeezed by cos(lat) so shapes aren't stretched
+  const all    = days.flatMap(d => d.points);
+  const midLat = (Math.min(...all.map(c => c[1])) + Math.max(...all.map(c => c[1]))) / 2;
+  const kx     = Math.cos(midLat * Math.PI / 180);
+  const xs     = all.map(c => c[0] * kx);
+  const ys     = all.map(c => -c[1]);
+
+  const minX   = Math.min(...xs);
+  const minY   = Math.min(...ys);
+  const width  = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+  const inner  = THUMB_SIZE - THUMB_PADDING * 2;
+  const scale  = inner / (Math.max(width, height) || 1);
+
+  // Centre the shorter side
+  const offX = THUMB_PADDING + (inner - width  * scale) / 2;
+  const offY = THUMB_PADDING + (inner - height * scale) / 2;
+
+  const lines = days.map(({ points, index }) => {
+    const d = points
+      .map(([lon, lat]) => `${(offX + (lon * kx - minX) * scale).toFixed(1)},${(offY + (-lat - minY) * scale).toFixed(1)}`)
+      .join(' ');
+    return `<polyline points="${d}" stroke="${dayColorNeutral(index)}" />`;
+  });
+
+  return `
+    <svg class="route-thumb" viewBox="0 0 ${THUMB_SIZE} ${THUMB_SIZE}" width="${THUMB_SIZE}" height="${THUMB_SIZE}" aria-hidden="true">
+      <g fill="none" stroke-width="1.6" stroke-linejoin="round" stroke-linecap="round">
+        ${lines.join('\n        ')}
+      </g>
+    </svg>`;
+}
+
+/* ---- Overview map ----------------------------------------- */
+
+/**
+ * Wire up the "Show map" button in #overview-section.
+ * @param {object[]} trips - Results from computeTripData()
+ */
+function buildOverviewMap(trips) {
+  const section = document.getElementById('overview-section');
+  const toggle  = document.getElementById('overview-toggle');
+  const mapEl   = document.getElementById('overview-map');
+  if (!section || !toggle || !mapEl) return;
+
+  const mapped = trips.filter(t => !t.error && t.outline.some(points => points && points.length > 1));
+  if (mapped.length === 0) return;
+
+  let map = null;
+  section.hidden = false;
+
+  toggle.addEventListener('click', async () => {
+    const show = mapEl.hidden;
+    mapEl.hidden = !show;
+    toggle.textContent = show ? 'Hide map' : 'Show map';
+    toggle.setAttribute('aria-expanded', String(show));
+    if (!show) return;
+
+    if (map) {
+      map.invalidateSize();
+      return;
+    }
+
+    try {
+      await loadLeaflet();
+    } catch {
+      mapEl.innerHTML = `<p class="error-state">Could not load the map.</p>`;
+      return;
+    }
+    if (!map) {
+      mapEl.innerHTML = '';
+      map = drawOverviewMap(mapEl, mapped);
+    }
+  });
+}
+
+/**
+ * @param {HTMLElement} mapEl
+ * @param {object[]} trips - Trips with at least one outline
+ * @returns {L.Map}
+ */
+function drawOverviewMap(mapEl, trips) {
+  const map = L.map(mapEl, { scrollWheelZoom: false });
+
+  // Same imagery as the trip pages
+  L.tileLayer(
+    'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    {
+      attribution: 'Tiles © Esri — Source: Esri, DigitalGlobe, GeoEye, Earthstar Geographics, CNES/Airbus DS, USDA, USGS, AeroGRID, IGN, and the GIS User Community',
+      maxZoom: 18,
+    }
+  ).addTo(map);
+
+  const bounds = L.latLngBounds([]);
+
+  trips.forEach((trip, i) => {
+    const lines = trip.outline
+      .filter(points => points && points.length > 1)
+      .map(points => points.map(([lon, lat]) => [lat, lon]));
+
+    const layer = L.polyline(lines, { color: dayColorNeutral(i), weight: 3, opacity: 0.9 })
+      .bindTooltip(escapeHtml(trip.title), { sticky: true, className: 'overview-tooltip' })
+      .on('mouseover', () => layer.setStyle({ color: dayColorHover(i), weight: 5 }).bringToFront())
+      .on('mouseout',  () => layer.setStyle({ color: dayColorNeutral(i), weight: 3 }))
+      .on('click',     () => { window.location.href = trip.page_url; })
+      .addTo(map);
+
+    bounds.extend(layer.getBounds());
+  });
+
+  map.fitBounds(bounds, { padding: [24, 24] });
+  return map;
+}
+
+/** Add Leaflet's stylesheet and script to the page (once). */
+function loadLeaflet() {
+  if (window.L) return Promise.resolve();
+  if (leafletLoading) return leafletLoading;
+
+  if (!document.querySelector(`link[href="${LEAFLET_CSS}"]`)) {
+    const css = document.createElement('link');
+    css.rel  = 'stylesheet';
+    css.href = LEAFLET_CSS;
+    document.head.appendChild(css);
+  }
+
+  leafletLoading = new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src     = LEAFLET_JS;
+    script.onload  = () => resolve();
+    script.onerror = () => {
+      leafletLoading = null;   // let the next click try again
+      script.remove();
+      reject(new Error('Leaflet failed to load'));
+    };
+    document.head.appendChild(script);
+  });
+  return leafletLoading;
+}
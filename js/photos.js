@@ -0,0 +1,320 @@
+/* ============================================================
+   HIKING JOURNAL — photos.js
+   Puts the trip's photos on the map.
+
+   The photos are the ones used in journal.md ({{photo …}}) plus
+   any listed in meta.json "photos". For each one the browser
+   reads the EXIF block at the start of the JPEG — no outside
+   service — for:
+     - GPS latitude / longitude   → camera marker at that spot
+     - time taken                 → if there's no GPS, the marker goes
+                                    on the track point recorded closest
+                                    to that time (tracks with timestamps only)
+
+   Photo times are converted to UTC using, in order: the photo's own
+   OffsetTimeOriginal, its GPS time stamp, or meta.json
+   "photo_utc_offset" (e.g. "-06:00"). Without any of those the
+   viewer's local time zone is assumed.
+
+   Photos with neither GPS nor a usable time are simply not mapped.
+
+   Each photo is also assigned to a day, for the day panel: the
+   "Day N" heading it sits under in the journal, else the day whose
+   route passes closest to where (or when) it was taken.
+
+   Requires utils.js, journal.js and Leaflet to be loaded first.
+   ============================================================ */
+
+'use strict';
+
+const PHOTO_EXIF_BYTES        = 128 * 1024;       // EXIF sits at the start of the file
+const PHOTO_TIME_TOLERANCE_MS = 30 * 60 * 1000;   // how far outside a day's track a photo may be
+const PHOTO_DAY_MATCH_MILES   = 1;                // how far from a day's route a photo may be
+
+/**
+ * Read EXIF from each photo and add camera markers to the map.
+ * @param {L.Map|null} map
+ * @param {object[]}   dayResults - Results from loadAllDays()
+ * @param {{url: string, alt?: string, caption?: string, dayNumber?: number}[]} photos
+ * @param {object}     meta       - Parsed meta.json (for photo_utc_offset)
+ * @returns {Promise<object[]>} Every photo as { photo, takenAt, latlng, byTime, day } —
+ *          latlng is null for photos that couldn't be placed, day is the day result or null
+ */
+async function buildPhotoMarkers(map, dayResults, photos, meta) {
+  const validDays = dayResults.filter(d => d.ok);
+  const timedDays = validDays.filter(d => d.times);
+
+  const placed = await Promise.all(photos.map(async (photo) => {
+    const exif    = await readPhotoExif(photo.url);
+    const takenAt = exif ? photoTime(exif, meta.photo_utc_offset) : null;
+    const result  = { photo, takenAt, latlng: null, byTime: false, day: null };
+
+    if (exif && exif.lat != null && exif.lon != null) {
+      result.latlng = [exif.lat, exif.lon];
+      result.day    = nearestDayByLocation(validDays, [exif.lon, exif.lat]);
+    } else if (takenAt != null) {
+      const match = nearestPointByTime(timedDays, takenAt);
+      if (match) {
+        result.latlng = [match.coord[1], match.coord[0]];
+        result.byTime = true;
+        result.day    = match.day;
+      }
+    }
+
+    // The journal's "Day N" heading wins over position
+    if (photo.dayNumber != null) {
+      result.day = validDays.find(d => d.dayNumber === photo.dayNumber) || result.day;
+    }
+    return result;
+  }));
+
+  if (map) {
+    const group = L.layerGroup();
+    for (const p of placed) {
+      if (!p.latlng) continue;
+      L.marker(p.latlng, { icon: photoIcon(), title: p.photo.alt || '' })
+        .bindPopup(buildPhotoPopupHtml(p), { className: 'photo-popup', maxWidth: 260, minWidth: 220 })
+        .addTo(group);
+    }
+    if (group.getLayers().length) group.addTo(map);
+  }
+
+  return placed;
+}
+
+/**
+ * Photos to map: the journal's, then meta.json "photos", without duplicates.
+ * @param {string}   tripId
+ * @param {object}   meta
+ * @param {object[]} journalPhotos - From buildJournal()
+ */
+function collectTripPhotos(tripId, meta, journalPhotos) {
+  const listed = (Array.isArray(meta.photos) ? meta.photos : [])
+    .filter(name => typeof name === 'string' && name)
+    .map(name => ({ url: photoUrl(tripId, name), alt: '', caption: '' }));
+
+  const seen = new Set();
+  return [...journalPhotos, ...listed].filter(p => {
+    if (seen.has(p.url)) return false;
+    seen.add(p.url);
+    return true;
+  });
+}
+
+/* ---- Placement -------------------------------------------- */
+
+/**
+ * UTC time (epoch ms) a photo was taken, or null.
+ * @param {object} exif        - From parseExif()
+ * @param {string} [utcOffset] - Fallback offset like "-06:00"
+ */
+function photoTime(exif, utcOffset) {
+  const local = exif.dateTimeOriginal && exif.dateTimeOriginal.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/);
+
+  if (local && exif.offsetTimeOriginal) {
+    const t = Date.parse(`${local[1]}-${local[2]}-${local[3]}T${local[4]}${exif.offsetTimeOriginal}`);
+    if (!isNaN(t)) return t;
+  }
+  if (exif.gpsTime != null) return exif.gpsTime;
+  if (!local) return null;
+
+  const offset = typeof utcOffset === 'string' && /^[+-]\d{2}:\d{2}$/.test(utcOffset) ? utcOffset : '';
+  const t = Date.parse(`${local[1]}-${local[2]}-${local[3]}T${local[4]}${offset}`);
+  return isNaN(t) ? null : t;
+}
+
+/**
+ * Day whose route passes closest to a point, within PHOTO_DAY_MATCH_MILES.
+ * @param {object[]} days
+ * @param {number[]} coord - [lon, lat]
+ * @returns {object|null}
+ */
+function nearestDayByLocation(days, coord) {
+  let best = null;
+  for (const day of days) {
+    for (const c of day.coords) {
+      const miles = haversineDistance(c, coord);
+      if (miles <= PHOTO_DAY_MATCH_MILES && (!best || miles < best.miles)) best = { day, miles };
+    }
+  }
+  return best ? best.day : null;
+}
+
+/**
+ * Track point recorded closest to a time, across all timed days.
+ * Only matches days whose track (plus a tolerance) covers that time.
+ * @returns {{day: object, coord: number[]}|null}
+ */
+function nearestPointByTime(timedDays, time) {
+  let best = null;
+
+  for (const day of timedDays) {
+    const t = day.timeStats;
+    if (!t || time < t.start - PHOTO_TIME_TOLERANCE_MS || time > t.end + PHOTO_TIME_TOLERANCE_MS) continue;
+
+    day.times.forEach((pointTime, i) => {
+      if (pointTime == null || !day.coords[i]) return;
+      const diff = Math.abs(pointTime - time);
+      if (!best || diff < best.diff) best = { day, coord: day.coords[i], diff };
+    });
+  }
+
+  return best;
+}
+
+/* ---- Markers ---------------------------------------------- */
+
+function photoIcon() {
+  return L.divIcon({
+    className: 'photo-marker',
+    html: `<svg viewBox="0 0 24 24" width="14" height="14" aria-hidden="true">
+      <path d="M9 4h6l1.5 2H20a1 1 0 0 1 1 1v11a1 1 0 0 1-1 1H4a1 1 0 0 1-1-1V7a1 1 0 0 1 1-1h3.5z"
+            fill="none" stroke="currentColor" stroke-width="1.8" stroke-linejoin="round"/>
+      <circle cx="12" cy="12.5" r="3.5" fill="none" stroke="currentColor" stroke-width="1.8"/>
+    </svg>`,
+    iconSize: [26, 26],
+    iconAnchor: [13, 13],
+    popupAnchor: [0, -14],
+  });
+}
+
+function buildPhotoPopupHtml({ photo, takenAt, byTime }) {
+  const label = photo.caption || photo.alt || '';
+  const when  = takenAt != null
+    ? new Date(takenAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+    : '';
+  const note  = byTime ? 'Placed on the track by time taken' : '';
+
+  return `
+    <a class="photo-popup-link" href="${escapeHtml(photo.url)}" target="_blank" rel="noopener">
+      <img class="photo-popup-img" src="${escapeHtml(photo.url)}" alt="${escapeHtml(photo.alt || '')}" loading="lazy" />
+    </a>
+    ${label ? `<div class="photo-popup-caption">${escapeHtml(label)}</div>` : ''}
+    ${when || note ? `<div class="photo-popup-meta">${[when, note].filter(Boolean).join(' · ')}</div>` : ''}
+  `;
+}
+
+/* ---- EXIF ------------------------------------------------- */
+
+/**
+ * Fetch the start of a JPEG and parse its EXIF block.
+ * Resolves to null for missing files, non-JPEGs and photos without EXIF.
+ * @param {string} url
+ */
+async function readPhotoExif(url) {
+  try {
+    // Servers that ignore Range just send the whole file, which also works
+    const res = await fetch(url, { headers: { Range: `bytes=0-${PHOTO_EXIF_BYTES - 1}` } });
+    if (!res.ok) return null;
+    return parseExif(await res.arrayBuffer());
+  } catch (err) {
+    console.warn(`[photos.js] Could not read ${url}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Pull GPS position and capture time out of a JPEG's APP1 EXIF segment.
+ * @param {ArrayBuffer} buffer
+ * @returns {{lat: number|null, lon: number|null, gpsTime: number|null,
+ *            dateTimeOriginal: string|null, offsetTimeOriginal: string|null}|null}
+ */
+function parseExif(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null; // not a JPEG
+
+  // Walk the JPEG segments to APP1 "Exif\0\0"
+  let offset = 2;
+  let tiff   = null;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break; // start of image data
+    if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+      tiff = offset + 10;
+      break;
+    }
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  if (tiff == null) return null;
+
+  try {
+    const little = view.getUint16(tiff) === 0x4949; // "II" = Intel byte order
+    const ifd0   = readIfd(view, tiff, tiff + view.getUint32(tiff + 4, little), little);
+    const exif   = ifd0[0x8769] ? readIfd(view, tiff, tiff + ifd0[0x8769].value(), little) : {};
+    const gps    = ifd0[0x8825] ? readIfd(view, tiff, tiff + ifd0[0x8825].value(), little) : {};
+
+    let lat = null;
+    let lon = null;
+    if (gps[0x0002] && gps[0x0004]) {
+      lat = dmsToDegrees(gps[0x0002].values());
+      lon = dmsToDegrees(gps[0x0004].values());
+      if (gps[0x0001] && gps[0x0001].value() === 'S') lat = -lat;
+      if (gps[0x0003] && gps[0x0003].value() === 'W') lon = -lon;
+      // Some phones write 0,0 when they had no fix
+      if (!isFinite(lat) || !isFinite(lon) || (lat === 0 && lon === 0)) { lat = null; lon = null; }
+    }
+
+    let gpsTime = null;
+    if (gps[0x001D] && gps[0x0007]) {
+      const [h, m, s] = gps[0x0007].values();
+      const date = String(gps[0x001D].value()).replace(/:/g, '-');
+      const t = Date.parse(`${date}T00:00:00Z`) + ((h * 60 + m) * 60 + s) * 1000;
+      if (!isNaN(t)) gpsTime = t;
+    }
+
+    return {
+      lat,
+      lon,
+      gpsTime,
+      dateTimeOriginal:   exif[0x9003] ? exif[0x9003].value() : (ifd0[0x0132] ? ifd0[0x0132].value() : null),
+      offsetTimeOriginal: exif[0x9011] ? exif[0x9011].value() : null,
+    };
+  } catch {
+    return null; // Truncated or malformed EXIF
+  }
+}
+
+/**
+ * Read one IFD into a map of tag → { value(), values() }.
+ * Only the types EXIF dates and GPS use are decoded.
+ */
+function readIfd(view, tiff, start, little) {
+  const entries = {};
+  const count   = view.getUint16(start, little);
+
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12;
+    const tag   = view.getUint16(entry, little);
+    const type  = view.getUint16(entry + 2, little);
+    const n     = view.getUint32(entry + 4, little);
+    const size  = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 }[type] || 1;
+    const data  = size * n <= 4 ? entry + 8 : tiff + view.getUint32(entry + 8, little);
+
+    const values = () => {
+      const out = [];
+      for (let k = 0; k < n; k++) {
+        const at = data + k * size;
+        if (type === 3)       out.push(view.getUint16(at, little));
+        else if (type === 4)  out.push(view.getUint32(at, little));
+        else if (type === 9)  out.push(view.getInt32(at, little));
+        else if (type === 5)  out.push(view.getUint32(at, little) / view.getUint32(at + 4, little));
+        else if (type === 10) out.push(view.getInt32(at, little) / view.getInt32(at + 4, little));
+        else                  out.push(view.getUint8(at));
+      }
+      return out;
+    };
+
+    entries[tag] = {
+      values,
+      value: () => (type === 2
+        ? String.fromCharCode(...values()).replace(/\0+$/, '').trim()
+        : values()[0]),
+    };
+  }
+
+  return entries;
+}
+
+function dmsToDegrees([d, m, s]) {
+  return d + (m || 0) / 60 + (s || 0) / 3600;
+}
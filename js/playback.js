@@ -0,0 +1,347 @@
+/* ============================================================
+   HIKING JOURNAL — playback.js
+   Animated route playback for the trip page.
+
+   A play button under the map walks a hiker marker along the
+   whole trip, day by day, drawing the route behind it. The
+   scrubber jumps to any point and the speed menu speeds it up
+   or slows it down. The readout shows the day, the distance
+   and elevation gain so far and, for timestamped tracks, the
+   time of day.
+
+   Pacing:
+     - Days whose track has point timestamps play back in real
+       time — faster where we walked faster, paused where we
+       stopped.
+     - Days without play back by distance, at a steady
+       PLAYBACK_WALK_MPH.
+     - Nights are skipped: each day starts a short camp pause
+       after the last.
+   At 1× the trip takes PLAYBACK_SECONDS_PER_DAY per day to play.
+
+   Distance and gain so far add up to the day table's numbers at
+   the end of each day.
+
+   Requires utils.js, units.js and Leaflet to be loaded first.
+   ============================================================ */
+
+'use strict';
+
+const PLAYBACK_SECONDS_PER_DAY = 8;
+const PLAYBACK_SPEEDS          = [0.5, 1, 2, 4, 8];
+const PLAYBACK_WALK_MPH        = 2;
+const PLAYBACK_CAMP_MS         = 30 * 60 * 1000;  // trail time between days
+const PLAYBACK_MIN_TIMED       = 0.5;             // share of points that need a time
+
+/**
+ * Add the playback controls under the map.
+ * @param {object[]} dayResults - Results from loadAllDays() (need .coords, .times)
+ * @param {L.Map|null} map      - Leaflet map returned by buildMap()
+ * @param {number} [thresholdM] - Elevation noise threshold from meta.json
+ * @returns {{play: function, pause: function}|null} null if there is nothing to play
+ */
+function buildRoutePlayback(dayResults, map, thresholdM) {
+  const container = document.getElementById('route-playback');
+  if (!container || !map) return null;
+
+  const timeline = buildPlaybackTimeline(dayResults, thresholdM);
+  if (timeline.points.length < 2) return null;
+
+  const { points, duration } = timeline;
+  const dayCount    = new Set(points.map(p => p.dayIndex)).size;
+  const baseSeconds = PLAYBACK_SECONDS_PER_DAY * Math.max(dayCount, 1);
+
+  container.innerHTML = `
+    <button type="button" class="playback-play" aria-label="Play route">${playbackIcon('play')}</button>
+    <input type="range" class="playback-scrubber" min="0" max="${duration}" step="any" value="0"
+           aria-label="Playback position">
+    <select class="playback-speed" aria-label="Playback speed">
+      ${PLAYBACK_SPEEDS.map(s => `<option value="${s}"${s === 1 ? ' selected' : ''}>${s}×</option>`).join('')}
+    </select>
+    <div class="playback-readout" aria-live="off">
+      ${timeline.timed ? 'Plays back in real time' : 'Plays back by distance'} — press play
+    </div>
+  `;
+  container.hidden = false;
+
+  const playBtn  = container.querySelector('.playback-play');
+  const scrubber = container.querySelector('.playback-scrubber');
+  const speedSel = container.querySelector('.playback-speed');
+  const readout  = container.querySelector('.playback-readout');
+
+  const state = {
+    t: 0,
+    playing: false,
+    frame: null,
+    lastFrame: null,
+    speed: 1,
+    marker: null,
+    trail: createPlaybackTrail(map),
+  };
+
+  const render = (follow) => {
+    const pos = playbackPosition(points, state.t);
+    const latlng = [pos.lat, pos.lon];
+
+    if (!state.marker) {
+      state.marker = L.circleMarker(latlng, {
+        className: 'playback-marker',
+        radius: 7,
+        color: '#f5f0e8',
+        weight: 2,
+        fillOpacity: 1,
+        interactive: false,
+      }).addTo(map);
+    }
+    state.marker.setLatLng(latlng);
+    state.marker.setStyle({ fillColor: dayColorHover(pos.point.dayIndex) });
+    state.trail.drawTo(points, pos.i);
+
+    // Keep the hiker on screen while playing
+    if (follow && !map.getBounds().contains(latlng)) map.panTo(latlng);
+
+    const text = playbackReadout(pos, dayCount);
+    readout.textContent = text;
+    scrubber.value = String(state.t);
+    scrubber.setAttribute('aria-valuetext', text);
+  };
+
+  const step = (now) => {
+    if (state.lastFrame != null) {
+      state.t += (now - state.lastFrame) * (duration / (baseSeconds * 1000)) * state.speed;
+    }
+    state.lastFrame = now;
+
+    if (state.t >= duration) {
+      state.t = duration;
+      render(true);
+      pause();
+      return;
+    }
+    render(true);
+    state.frame = requestAnimationFrame(step);
+  };
+
+  const play = () => {
+    if (state.playing) return;
+    if (state.t >= duration) state.t = 0;
+    state.playing   = true;
+    state.lastFrame = null;
+    setPlayButton(playBtn, true);
+    state.frame = requestAnimationFrame(step);
+  };
+
+  const pause = () => {
+    state.playing = false;
+    if (state.frame) cancelAnimationFrame(state.frame);
+    state.frame = null;
+    setPlayButton(playBtn, false);
+  };
+
+  playBtn.addEventListener('click', () => (state.playing ? pause() : play()));
+
+  scrubber.addEventListener('input', () => {
+    state.t = Number(scrubber.value);
+    state.lastFrame = null;
+    render(false);
+  });
+
+  speedSel.addEventListener('change', () => {
+    state.speed = Number(speedSel.value) || 1;
+  });
+
+  return { play, pause };
+}
+
+function setPlayButton(btn, playing) {
+  btn.innerHTML = playbackIcon(playing ? 'pause' : 'play');
+  btn.setAttribute('aria-label', playing ? 'Pause route' : 'Play route');
+}
+
+function playbackIcon(name) {
+  const path = name === 'pause' ? 'M7 5h3v14H7zM14 5h3v14h-3z' : 'M8 5v14l11-7z';
+  return `<svg viewBox="0 0 24 24" width="16" height="16" aria-hidden="true"><path d="${path}" fill="currentColor"/></svg>`;
+}
+
+/** "Day 3 of 10 · 24.6 mi · 5,230 ft gain · 10:42 AM" */
+function playbackReadout(pos, dayCount) {
+  const p     = pos.point;
+  const parts = [
+    `Day ${p.dayNumber} of ${dayCount}`,
+    formatDistance(pos.dist),
+    `${formatElevation(pos.gain, 10)} gain`,
+  ];
+  if (pos.clock != null) parts.push(formatClockTime(pos.clock));
+  return parts.join(' · ');
+}
+
+/* ---- Timeline --------------------------------------------- */
+
+/**
+ * One list of points for the whole trip, each with its place on the
+ * playback clock.
+ * @returns {{points: object[], duration: number, timed: boolean}}
+ *   points: { lat, lon, t, dist, gain, clock, dayIndex, dayNumber }
+ *     t     — playback ms from the start of the trip
+ *     dist  — miles from the start of the trip
+ *     gain  — feet climbed since the start of the trip
+ *     clock — epoch ms when the point was recorded, or null
+ *   timed: true when at least one day plays back in real time
+ */
+function buildPlaybackTimeline(dayResults, thresholdM) {
+  const points = [];
+  let offset   = 0;
+  let distBase = 0;
+  let gainBase = 0;
+  let timed    = false;
+
+  for (const day of dayResults) {
+    if (!day.ok || !Array.isArray(day.coords) || day.coords.length < 2) continue;
+
+    const coords = day.coords;
+    const miles  = calcCumulativeDistance(coords);
+    const gainM  = runningGain(coords, thresholdM);
+    const clock  = fillPlaybackTimes(day.times);
+    if (clock) timed = true;
+
+    // Scale to the day's own totals, which meta/properties may override
+    const distScale = miles[miles.length - 1] > 0 ? day.distance  / miles[miles.length - 1] : 0;
+    const gainScale = gainM[gainM.length - 1] > 0 ? day.elevation / gainM[gainM.length - 1] : 0;
+
+    coords.forEach((c, i) => {
+      points.push({
+        lat:       c[1],
+        lon:       c[0],
+        t:         offset + (clock ? clock[i] - clock[0] : miles[i] / PLAYBACK_WALK_MPH * 3600000),
+        dist:      distBase + miles[i] * distScale,
+        gain:      gainBase + gainM[i] * gainScale,
+        clock:     clock ? clock[i] : null,
+        dayIndex:  day.index,
+        dayNumber: day.dayNumber,
+      });
+    });
+
+    offset    = points[points.length - 1].t + PLAYBACK_CAMP_MS;
+    distBase += day.distance;
+    gainBase += day.elevation;
+  }
+
+  const duration = points.length ? points[points.length - 1].t : 0;
+  return { points, duration, timed };
+}
+
+/** Metres climbed from the first point, per point — walkElevation() in utils.js. */
+function runningGain(coords, thresholdM) {
+  const out = [];
+  walkElevation(coords, thresholdM, (_i, gainM) => out.push(gainM));
+  return out;
+}
+
+/**
+ * Per-point times with the gaps filled in, never going backwards.
+ * @param {(number|null)[]|null} times - From extractTimes()
+ * @returns {number[]|null} null when too few points have a time to play in real time
+ */
+function fillPlaybackTimes(times) {
+  if (!Array.isArray(times) || times.length < 2) return null;
+  const known = [];
+  times.forEach((t, i) => { if (t != null) known.push(i); });
+  if (known.length < 2 || known.length < times.length * PLAYBACK_MIN_TIMED) return null;
+
+  const out = new Array(times.length);
+  let k = 0;
+  for (let i = 0; i < times.length; i++) {
+    while (k < known.length - 1 && known[k + 1] <= i) k++;
+    const a = known[k];
+    const b = known[Math.min(k + 1, known.length - 1)];
+    if (i <= a || a === b) out[i] = times[i <= a ? a : b];
+    else out[i] = times[a] + (times[b] - times[a]) * (i - a) / (b - a);
+    if (i > 0 && out[i] < out[i - 1]) out[i] = out[i - 1];
+  }
+  return out[out.length - 1] > out[0] ? out : null;
+}
+
+/**
+ * Where the hiker is at playback time t, between two points.
+ * @returns {{i: number, point: object, lat: number, lon: number, dist: number, gain: number, clock: number|null}}
+ *   i is the last point passed
+ */
+function playbackPosition(points, t) {
+  let lo = 0;
+  let hi = points.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (points[mid].t <= t) lo = mid;
+    else hi = mid - 1;
+  }
+
+  const a = points[lo];
+  const b = points[lo + 1];
+  if (!b || b.dayIndex !== a.dayIndex || b.t <= a.t) {
+    return { i: lo, point: a, lat: a.lat, lon: a.lon, dist: a.dist, gain: a.gain, clock: a.clock };
+  }
+
+  const f   = Math.min(1, Math.max(0, (t - a.t) / (b.t - a.t)));
+  const mix = (x, y) => x + (y - x) * f;
+  return {
+    i: lo,
+    point: a,
+    lat:   mix(a.lat,  b.lat),
+    lon:   mix(a.lon,  b.lon),
+    dist:  mix(a.dist, b.dist),
+    gain:  mix(a.gain, b.gain),
+    clock: a.clock != null && b.clock != null ? mix(a.clock, b.clock) : a.clock,
+  };
+}
+
+/* ---- Route so far ------------------------------------------ */
+
+/**
+ * The route behind the hiker, one line per day in its highlight colour.
+ * drawTo() only adds the new points while playing forward and redraws
+ * after a jump back.
+ */
+function createPlaybackTrail(map) {
+  const layer = L.layerGroup().addTo(map);
+  const lines = new Map();   // dayIndex → { line, latlngs }
+  let drawn   = -1;          // index of the last point drawn
+
+  const lineFor = (dayIndex) => {
+    if (!lines.has(dayIndex)) {
+      const line = L.polyline([], {
+        className: 'playback-trail',
+        color: dayColorHover(dayIndex),
+        weight: 4,
+        opacity: 1,
+        lineCap: 'round',
+        lineJoin: 'round',
+        interactive: false,
+      }).addTo(layer);
+      lines.set(dayIndex, { line, latlngs: [] });
+    }
+    return lines.get(dayIndex);
+  };
+
+  return {
+    drawTo(points, index) {
+      if (index < drawn) {
+        layer.clearLayers();
+        lines.clear();
+        drawn = -1;
+      }
+      if (index === drawn) return;
+
+      const touched = new Set();
+      for (let i = drawn + 1; i <= index; i++) {
+        const p = points[i];
+        lineFor(p.dayIndex).latlngs.push([p.lat, p.lon]);
+        touched.add(p.dayIndex);
+      }
+      for (const dayIndex of touched) {
+        const entry = lines.get(dayIndex);
+        entry.line.setLatLngs(entry.latlngs);
+      }
+      drawn = index;
+    },
+  };
+}
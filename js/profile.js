@@ -0,0 +1,342 @@
+/* ============================================================
+   HIKING JOURNAL — profile.js
+   Elevation profile chart for the trip page.
+
+   Draws elevation against cumulative distance for the whole trip
+   as an inline SVG under the map, one coloured line per day
+   (same colours as the routes on the map).
+
+   Linked to the Leaflet map built by buildMap():
+     - Hovering the profile drops a marker at that spot on the map
+     - Hovering a route on the map moves the cursor on the profile
+     - zoomToDay() narrows the chart to a single day (used by the legend)
+
+   Requires utils.js, units.js and Leaflet to be loaded first.
+   ============================================================ */
+
+'use strict';
+
+const PROFILE_HEIGHT = 180;
+const PROFILE_PADDING = { top: 14, right: 14, bottom: 26, left: 56 };
+
+/**
+ * Build the elevation profile for a trip.
+ * @param {object[]} dayResults - Results from loadAllDays() (need .coords, and .layer once mapped)
+ * @param {L.Map|null} map      - Leaflet map returned by buildMap()
+ * @returns {object|null} Controller with zoomToDay(index) and showAll(), or null if nothing to draw
+ */
+function buildElevationProfile(dayResults, map) {
+  const container = document.getElementById('elevation-profile');
+  if (!container) return null;
+
+  const points = buildProfilePoints(dayResults);
+  if (points.length < 2) {
+    container.style.display = 'none';
+    return null;
+  }
+
+  container.style.display = '';
+  container.innerHTML = `
+    <div class="profile-header">
+      <span class="section-label">Elevation Profile</span>
+      <span class="profile-readout" id="profile-readout"></span>
+      <button type="button" class="profile-reset" id="profile-reset" hidden>Show full trip</button>
+    </div>
+    <svg class="profile-chart" id="profile-chart" height="${PROFILE_HEIGHT}"></svg>
+  `;
+
+  const last  = points[points.length - 1];
+  const state = {
+    points,
+    ranges: buildDayRanges(points),
+    map,
+    marker: null,
+    domain: [points[0].dist, last.dist],
+    svg: container.querySelector('#profile-chart'),
+    readout: container.querySelector('#profile-readout'),
+    resetBtn: container.querySelector('#profile-reset'),
+    scales: null,
+  };
+
+  renderProfile(state);
+
+  // Profile → map
+  state.svg.addEventListener('mousemove', (e) => {
+    const rect = state.svg.getBoundingClientRect();
+    const dist = state.scales.xToDist(e.clientX - rect.left);
+    showProfileCursor(state, nearestPointByDistance(points, dist), true);
+  });
+  state.svg.addEventListener('mouseleave', () => hideProfileCursor(state));
+
+  // Map → profile
+  for (const day of dayResults) {
+    if (!day.layer) continue;
+    day.layer.on('mousemove', (e) => {
+      const index = nearestPointByLatLng(state, day.index, e.latlng);
+      if (index != null) showProfileCursor(state, index, false);
+    });
+    day.layer.on('mouseout', () => hideProfileCursor(state));
+  }
+
+  state.resetBtn.addEventListener('click', () => controller.showAll());
+
+  let resizeQueued = false;
+  window.addEventListener('resize', () => {
+    if (resizeQueued) return;
+    resizeQueued = true;
+    requestAnimationFrame(() => {
+      resizeQueued = false;
+      renderProfile(state);
+    });
+  });
+
+  const controller = {
+    zoomToDay(dayIndex) {
+      const range = state.ranges.get(dayIndex);
+      if (!range) return;
+      state.domain = [points[range.start].dist, points[range.end].dist];
+      state.resetBtn.hidden = false;
+      renderProfile(state);
+    },
+    showAll() {
+      state.domain = [points[0].dist, last.dist];
+      state.resetBtn.hidden = true;
+      renderProfile(state);
+    },
+  };
+
+  return controller;
+}
+
+/* ---- Data ------------------------------------------------- */
+
+/**
+ * Flatten every loaded day into one list of profile points.
+ * Points without elevation are skipped; distance keeps accumulating across days.
+ * @returns {{dist:number, ele:number, lat:number, lon:number, dayIndex:number, dayNumber:number}[]}
+ *   dist from the trip start and ele in the display units (mi / ft or km / m — units.js)
+ */
+function buildProfilePoints(dayResults) {
+  const points = [];
+  let dist = 0;
+
+  for (const day of dayResults) {
+    if (!day.ok || !Array.isArray(day.coords)) continue;
+
+    let prev = null;
+    for (const c of day.coords) {
+      if (prev) dist += haversineDistance(prev, c);
+      prev = c;
+      if (typeof c[2] !== 'number') continue;
+      points.push({
+        dist: convertDistance(dist),
+        ele: convertElevation(c[2] * 3.28084),
+        lat: c[1],
+        lon: c[0],
+        dayIndex: day.index,
+        dayNumber: day.dayNumber,
+      });
+    }
+  }
+
+  return points;
+}
+
+/** Map of dayIndex → { start, end } indices into the points array. */
+function buildDayRanges(points) {
+  const ranges = new Map();
+  points.forEach((p, i) => {
+    const r = ranges.get(p.dayIndex);
+    if (r) r.end = i;
+    else ranges.set(p.dayIndex, { start: i, end: i });
+  });
+  return ranges;
+}
+
+/** Binary search for the point closest to a distance along the trip. */
+function nearestPointByDistance(points, dist) {
+  let lo = 0;
+  let hi = points.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].dist < dist) lo = mid + 1;
+    else hi = mid;
+  }
+  if (lo > 0 && dist - points[lo - 1].dist < points[lo].dist - dist) return lo - 1;
+  return lo;
+}
+
+/** Closest point of one day to a map position (flat-earth approximation is fine at this scale). */
+function nearestPointByLatLng(state, dayIndex, latlng) {
+  const range = state.ranges.get(dayIndex);
+  if (!range) return null;
+
+  const kx = Math.cos((latlng.lat * Math.PI) / 180);
+  let best = null;
+  let bestD = Infinity;
+  for (let i = range.start; i <= range.end; i++) {
+    const p  = state.points[i];
+    const dx = (p.lon - latlng.lng) * kx;
+    const dy = p.lat - latlng.lat;
+    const d  = dx * dx + dy * dy;
+    if (d < bestD) { bestD = d; best = i; }
+  }
+  return best;
+}
+
+/* ---- Rendering -------------------------------------------- */
+
+function renderProfile(state) {
+  const svg    = state.svg;
+  const width  = svg.clientWidth || svg.parentNode.clientWidth || 800;
+  const height = PROFILE_HEIGHT;
+  const pad    = PROFILE_PADDING;
+  const plotW  = Math.max(width - pad.left - pad.right, 10);
+  const plotH  = height - pad.top - pad.bottom;
+
+  const [d0, d1] = state.domain;
+  const visible  = state.points.filter(p => p.dist >= d0 && p.dist <= d1);
+
+  let eMin = Infinity;
+  let eMax = -Infinity;
+  for (const p of visible) {
+    if (p.ele < eMin) eMin = p.ele;
+    if (p.ele > eMax) eMax = p.ele;
+  }
+  if (eMax - eMin < 100) { eMin -= 50; eMax += 50; }
+
+  const eStep = niceStep(eMax - eMin, 4);
+  eMin = Math.floor(eMin / eStep) * eStep;
+  eMax = Math.ceil(eMax / eStep) * eStep;
+  const dSpan = Math.max(d1 - d0, 0.01);
+
+  const x = dist => pad.left + ((dist - d0) / dSpan) * plotW;
+  const y = ele  => pad.top + (1 - (ele - eMin) / (eMax - eMin)) * plotH;
+
+  state.scales = {
+    x,
+    y,
+    xToDist: px => d0 + ((px - pad.left) / plotW) * dSpan,
+  };
+
+  svg.setAttribute('width', width);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  let html = '';
+
+  // Horizontal grid + elevation labels
+  for (let e = eMin; e <= eMax + 1e-6; e += eStep) {
+    const py = y(e).toFixed(1);
+    html += `<line class="profile-grid" x1="${pad.left}" x2="${pad.left + plotW}" y1="${py}" y2="${py}"></line>`;
+    html += `<text class="profile-axis" x="${pad.left - 8}" y="${py}" text-anchor="end" dominant-baseline="middle">${formatNumber(Math.round(e))} ${elevationUnit()}</text>`;
+  }
+
+  // Distance labels
+  const dStep = niceStep(dSpan, 6);
+  for (let d = Math.ceil(d0 / dStep) * dStep; d <= d1 + 1e-6; d += dStep) {
+    html += `<text class="profile-axis" x="${x(d).toFixed(1)}" y="${height - 6}" text-anchor="middle">${Math.round(d * 10) / 10} ${distanceUnit()}</text>`;
+  }
+
+  // One area + line per day; keep roughly one vertex per pixel
+  let current = null;
+  let lastPx  = -Infinity;
+  const segments = [];
+  visible.forEach((p, i) => {
+    if (!current || current.dayIndex !== p.dayIndex) {
+      current = { dayIndex: p.dayIndex, pts: [] };
+      segments.push(current);
+      lastPx = -Infinity;
+    }
+    const px = x(p.dist);
+    const isEnd = i === visible.length - 1 || visible[i + 1].dayIndex !== p.dayIndex;
+    if (px - lastPx >= 1 || isEnd) {
+      current.pts.push([px, y(p.ele)]);
+      lastPx = px;
+    }
+  });
+
+  const baseY = (pad.top + plotH).toFixed(1);
+  for (const seg of segments) {
+    if (seg.pts.length < 2) continue;
+    const color = dayColorNeutral(seg.dayIndex);
+    const line  = seg.pts.map(([px, py]) => `${px.toFixed(1)},${py.toFixed(1)}`).join(' L');
+    const first = seg.pts[0][0].toFixed(1);
+    const lastX = seg.pts[seg.pts.length - 1][0].toFixed(1);
+    html += `<path class="profile-area" d="M${first},${baseY} L${line} L${lastX},${baseY} Z" fill="${color}"></path>`;
+    html += `<path class="profile-line" d="M${line}" stroke="${color}"></path>`;
+  }
+
+  html += `
+    <line class="profile-cursor" id="profile-cursor" y1="${pad.top}" y2="${pad.top + plotH}" visibility="hidden"></line>
+    <circle class="profile-cursor-dot" id="profile-cursor-dot" r="4" visibility="hidden"></circle>
+  `;
+
+  svg.innerHTML = html;
+}
+
+function showProfileCursor(state, index, fromProfile) {
+  const p = state.points[index];
+  if (!p || !state.scales) return;
+
+  const [d0, d1] = state.domain;
+  if (p.dist < d0 || p.dist > d1) {
+    hideProfileCursor(state);
+    return;
+  }
+
+  const px = state.scales.x(p.dist).toFixed(1);
+  const py = state.scales.y(p.ele).toFixed(1);
+
+  const cursor = state.svg.querySelector('#profile-cursor');
+  const dot    = state.svg.querySelector('#profile-cursor-dot');
+  cursor.setAttribute('x1', px);
+  cursor.setAttribute('x2', px);
+  cursor.setAttribute('visibility', 'visible');
+  dot.setAttribute('cx', px);
+  dot.setAttribute('cy', py);
+  dot.setAttribute('fill', dayColorHover(p.dayIndex));
+  dot.setAttribute('visibility', 'visible');
+
+  state.readout.textContent =
+    `Day ${p.dayNumber} · ${Math.round(p.dist * 10) / 10} ${distanceUnit()} · ${formatNumber(Math.round(p.ele))} ${elevationUnit()}`;
+
+  // Only the profile moves the map marker — the map already shows the pointer itself
+  if (fromProfile && state.map) {
+    const latlng = [p.lat, p.lon];
+    if (!state.marker) {
+      state.marker = L.circleMarker(latlng, {
+        radius: 6,
+        color: '#f5f0e8',
+        weight: 2,
+        fillOpacity: 1,
+        interactive: false,
+      }).addTo(state.map);
+    }
+    state.marker.setLatLng(latlng);
+    state.marker.setStyle({ fillColor: dayColorHover(p.dayIndex) });
+  }
+}
+
+function hideProfileCursor(state) {
+  const cursor = state.svg.querySelector('#profile-cursor');
+  const dot    = state.svg.querySelector('#profile-cursor-dot');
+  if (cursor) cursor.setAttribute('visibility', 'hidden');
+  if (dot)    dot.setAttribute('visibility', 'hidden');
+  state.readout.textContent = '';
+
+  if (state.marker) {
+    state.marker.remove();
+    state.marker = null;
+  }
+}
+
+/**
+ * Pick a round axis step (1, 2 or 5 × 10ⁿ) giving about `count` ticks over `span`.
+ */
+function niceStep(span, count) {
+  const raw  = span / Math.max(count, 1);
+  const mag  = Math.pow(10, Math.floor(Math.log10(raw)));
+  const norm = raw / mag;
+  const step = norm >= 5 ? 5 : norm >= 2 ? 2 : 1;
+  return step * mag;
+}
@@ -0,0 +1,383 @@
+/* ============================================================
+   HIKING JOURNAL — share.js
+   "Share image" — a PNG summary card drawn in the browser.
+
+   Used on the trip page (the trip's route, title, dates and
+   header stats) and on the homepage (every route, with the
+   lifetime totals). The card is drawn on a <canvas>: routes are
+   plain outlines coloured with dayColorNeutral(), so no map
+   tiles or outside service are needed, and nothing leaves the
+   browser until you post it.
+
+   Two layouts:
+     - Square (1080 × 1080) — Instagram and friends
+     - Wide   (1200 × 630)  — link previews, Facebook, X
+   The panel shows a preview with a Download PNG button, plus
+   Share… where the browser can hand files to other apps.
+
+   Requires utils.js and units.js to be loaded first.
+   ============================================================ */
+
+'use strict';
+
+const SHARE_LAYOUTS = {
+  square: { label: 'Square', width: 1080, height: 1080 },
+  wide:   { label: 'Wide',   width: 1200, height: 630 },
+};
+
+// Same palette as css/style.css
+const SHARE_COLORS = {
+  background: '#0a0a0a',
+  border:     '#2a2a2a',
+  title:      '#f5f0e8',
+  text:       '#e8e0d4',
+  muted:      '#7a7268',
+  dim:        '#4a4540',
+  accent:     '#c8b98a',
+};
+
+const SHARE_FONT = "'EB Garamond', Georgia, 'Times New Roman', serif";
+
+/* ---- Page hooks ------------------------------------------- */
+
+/**
+ * Share image button for the trip page, in #trip-share.
+ * @param {string}   tripId
+ * @param {object}   meta      - Parsed meta.json
+ * @param {object[]} validDays - Loaded days (need .coords and .index)
+ * @param {{label: string, value: string}[]} stats - As shown in the header
+ */
+function buildTripShare(tripId, meta, validDays, stats) {
+  const container = document.getElementById('trip-share');
+  if (!container || validDays.length === 0) return;
+
+  // "Appalachian Trail - Springer Mountain to Unicoi Gap": the trail goes above the title
+  const title = meta.title || tripId;
+  const trail = tripTrailName(meta);
+  const match = trail && title.match(/^(.+?)\s+[-–—]\s+(.+)$/);
+  const split = match && match[1] === trail;
+
+  buildSharePanel(container, `${tripId}-summary`, () => ({
+    eyebrow:  trail || '',
+    title:    split ? match[2] : title,
+    subtitle: formatShareDates(meta.start_date, meta.end_date),
+    stats:    stats.filter(s => s.value && s.value !== '—'),
+    routes:   validDays.map(day => ({ points: simplifyCoords(day.coords), color: dayColorNeutral(day.index) })),
+  }));
+}
+
+/**
+ * Share image button for the homepage lifetime totals.
+ * @param {HTMLElement} container
+ * @param {object[]} trips  - Results from computeTripData() (need .outline)
+ * @param {object}   totals - From calcLifetimeTotals()
+ */
+function buildLifetimeShare(container, trips, totals) {
+  if (!container) return;
+
+  const loaded = trips.filter(t => !t.error);
+  const years  = loaded.map(t => t.start_date && t.start_date.slice(0, 4)).filter(Boolean).sort();
+
+  buildSharePanel(container, 'lifetime-summary', () => ({
+    title:    'Lifetime',
+    subtitle: years.length ? (years[0] === years[years.length - 1] ? years[0] : `${years[0]}–${years[years.length - 1]}`) : '',
+    stats: [
+      { label: 'Distance',       value: formatDistance(totals.distance, 0) },
+      { label: 'Elevation gain', value: formatElevation(totals.elevation, 10) },
+      { label: 'Trail days',     value: formatNumber(totals.days) },
+      { label: 'Trips',          value: formatNumber(totals.trips) },
+    ],
+    // One colour per trip, like the overview map
+    routes: loaded.flatMap((trip, i) => (trip.outline || [])
+      .filter(points => points && points.length > 1)
+      .map(points => ({ points, color: dayColorNeutral(i) }))),
+  }));
+}
+
+/* ---- Panel ------------------------------------------------ */
+
+/**
+ * A "Share image" button that opens a preview with layout choice
+ * and download.
+ * @param {HTMLElement} container
+ * @param {string}   filename - Without .png; the layout is appended
+ * @param {function} getCard  - Returns the card to draw (see drawShareImage)
+ */
+function buildSharePanel(container, filename, getCard) {
+  container.innerHTML = `
+    <button type="button" class="trip-download-btn share-open" aria-expanded="false">Share image</button>
+    <div class="share-panel" hidden>
+      <div class="share-toolbar">
+        <span class="share-layouts" role="group" aria-label="Image layout">
+          ${Object.entries(SHARE_LAYOUTS).map(([key, l], i) => `
+            <button type="button" data-share-layout="${key}" aria-pressed="${i === 0}">${l.label}</button>`).join('')}
+        </span>
+        <button type="button" class="trip-download-btn" data-share-action="download">Download PNG</button>
+        <button type="button" class="trip-download-btn" data-share-action="share" hidden>Share…</button>
+        <button type="button" class="trip-download-btn" data-share-action="close">Close</button>
+      </div>
+      <canvas class="share-preview" role="img"></canvas>
+      <p class="share-error" hidden>This browser can't draw the image.</p>
+    </div>
+  `;
+  container.hidden = false;
+
+  const openBtn  = container.querySelector('.share-open');
+  const panel    = container.querySelector('.share-panel');
+  const canvas   = container.querySelector('.share-preview');
+  const shareBtn = container.querySelector('[data-share-action="share"]');
+  let layout = Object.keys(SHARE_LAYOUTS)[0];
+
+  const redraw = async () => {
+    // Wait for the web font, or the card is drawn in the fallback
+    if (document.fonts && document.fonts.ready) await document.fonts.ready;
+    const card = getCard();
+    const ok   = drawShareImage(canvas, card, layout);
+    canvas.hidden = !ok;
+    container.querySelector('.share-error').hidden = ok;
+    canvas.setAttribute('aria-label', `${card.title} — ${card.stats.map(s => `${s.label} ${s.value}`).join(', ')}`);
+  };
+
+  const setOpen = (open) => {
+    panel.hidden = !open;
+    openBtn.setAttribute('aria-expanded', String(open));
+    if (open) redraw();
+  };
+
+  openBtn.addEventListener('click', () => setOpen(panel.hidden));
+
+  panel.addEventListener('click', async (e) => {
+    const layoutBtn = e.target.closest('[data-share-layout]');
+    if (layoutBtn) {
+      layout = layoutBtn.dataset.shareLayout;
+      panel.querySelectorAll('[data-share-layout]').forEach(b => {
+        b.setAttribute('aria-pressed', String(b === layoutBtn));
+      });
+      redraw();
+      return;
+    }
+
+    const action = e.target.closest('[data-share-action]');
+    if (!action) return;
+    if (action.dataset.shareAction === 'close') setOpen(false);
+    if (action.dataset.shareAction === 'download') {
+      const blob = await canvasToBlob(canvas);
+      if (blob) downloadFile(`${filename}-${layout}.png`, blob);
+    }
+    if (action.dataset.shareAction === 'share') {
+      const blob = await canvasToBlob(canvas);
+      if (!blob) return;
+      try {
+        await navigator.share({ files: [new File([blob], `${filename}-${layout}.png`, { type: 'image/png' })] });
+      } catch {
+        // Cancelled
+      }
+    }
+  });
+
+  // Phones can hand the PNG straight to other apps
+  if (typeof navigator.canShare === 'function' && typeof File === 'function') {
+    try {
+      shareBtn.hidden = !navigator.canShare({ files: [new File([''], 'test.png', { type: 'image/png' })] });
+    } catch {
+      shareBtn.hidden = true;
+    }
+  }
+}
+
+function canvasToBlob(canvas) {
+  return new Promise(resolve => {
+    if (!canvas.toBlob) resolve(null);
+    else canvas.toBlob(resolve, 'image/png');
+  });
+}
+
+/* ---- Drawing ---------------------------------------------- */
+
+/**
+ * Draw a summary card.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{eyebrow: string, title: string, subtitle: string, stats: {label: string, value: string}[],
+ *          routes: {points: number[][], color: string}[]}} card
+ *        eyebrow: optional small line above the title (the trail);
+ *        routes: [lon, lat] outlines, drawn in order
+ * @param {string} layoutKey - Key of SHARE_LAYOUTS
+ * @returns {boolean} false when the canvas can't be drawn on
+ */
+function drawShareImage(canvas, card, layoutKey) {
+  const layout = SHARE_LAYOUTS[layoutKey] || SHARE_LAYOUTS.square;
+  const ctx    = canvas.getContext && canvas.getContext('2d');
+  if (!ctx) return false;
+
+  const W = layout.width;
+  const H = layout.height;
+  canvas.width  = W;
+  canvas.height = H;
+
+  ctx.fillStyle = SHARE_COLORS.background;
+  ctx.fillRect(0, 0, W, H);
+  ctx.strokeStyle = SHARE_COLORS.border;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(24, 24, W - 48, H - 48);
+
+  const pad  = 72;
+  const wide = layoutKey === 'wide';
+
+  // Route on top (square) or to the left (wide); text fills the rest
+  const routeBox = wide
+    ? { x: pad, y: pad, w: H - pad * 2, h: H - pad * 2 }
+    : { x: pad, y: pad, w: W - pad * 2, h: H * 0.42 };
+  const textBox = wide
+    ? { x: H, y: pad, w: W - H - pad }
+    : { x: pad, y: routeBox.y + routeBox.h + 40, w: W - pad * 2 };
+
+  drawShareRoutes(ctx, card.routes, routeBox, wide ? 5 : 6);
+
+  // Trail, title and dates
+  ctx.textBaseline = 'alphabetic';
+  ctx.textAlign    = 'left';
+  let y = textBox.y + 22;
+
+  if (card.eyebrow) {
+    ctx.fillStyle = SHARE_COLORS.accent;
+    ctx.font = `400 22px ${SHARE_FONT}`;
+    drawSpacedText(ctx, card.eyebrow.toUpperCase(), textBox.x, y, 4, textBox.w);
+    y += 12;
+  }
+
+  ctx.fillStyle = SHARE_COLORS.title;
+  ctx.font = `italic 400 ${wide ? 46 : 56}px ${SHARE_FONT}`;
+  y += wide ? 48 : 56;
+  for (const line of wrapCanvasText(ctx, card.title, textBox.w, 2)) {
+    ctx.fillText(line, textBox.x, y);
+    y += wide ? 54 : 64;
+  }
+
+  if (card.subtitle) {
+    ctx.fillStyle = SHARE_COLORS.muted;
+    ctx.font = `400 ${wide ? 26 : 30}px ${SHARE_FONT}`;
+    ctx.fillText(card.subtitle, textBox.x, y - (wide ? 8 : 10));
+  }
+
+  // Stats: one row of four (square) or two by two (wide)
+  const stats = card.stats.slice(0, 4);
+  const cols  = wide ? 2 : Math.max(stats.length, 1);
+  const cellW = textBox.w / cols;
+  const statY = wide ? H - pad - 190 : H - pad - 130;
+
+  stats.forEach((stat, i) => {
+    const x  = textBox.x + (i % cols) * cellW;
+    const sy = statY + Math.floor(i / cols) * 110;
+
+    ctx.fillStyle = SHARE_COLORS.dim;
+    ctx.font = `400 20px ${SHARE_FONT}`;
+    drawSpacedText(ctx, stat.label.toUpperCase(), x, sy, 3, cellW - 16);
+
+    ctx.fillStyle = SHARE_COLORS.text;
+    ctx.font = `400 ${wide ? 44 : 40}px ${SHARE_FONT}`;
+    ctx.fillText(fitCanvasText(ctx, stat.value, cellW - 16), x, sy + 52);
+  });
+
+  // Site name, bottom right
+  const logo = document.querySelector('.nav-logo');
+  ctx.fillStyle = SHARE_COLORS.accent;
+  ctx.font = `400 26px ${SHARE_FONT}`;
+  ctx.textAlign = 'right';
+  ctx.fillText(logo ? logo.textContent.trim() : 'Hiking Journal', W - pad, H - pad + 20);
+  ctx.textAlign = 'left';
+
+  return true;
+}
+
+/**
+ * Route outlines fitted into a box — the same projection as the
+ * card thumbnails (overview.js), squeezed by cos(lat).
+ */
+function drawShareRoutes(ctx, routes, box, lineWidth) {
+  const lines = routes.filter(r => r.points && r.points.length > 1);
+  if (lines.length === 0) return;
+
+  let minLon = Infinity, maxLon = -Infinity, minLat = Infinity, maxLat = -Infinity;
+  for (const { points } of lines) {
+    for (const [lon, lat] of points) {
+      if (lon < minLon) minLon = lon;
+      if (lon > maxLon) maxLon = lon;
+      if (lat < minLat) minLat = lat;
+      if (lat > maxLat) maxLat = lat;
+    }
+  }
+
+  const kx     = Math.cos((minLat + maxLat) / 2 * Math.PI / 180);
+  const width  = (maxLon - minLon) * kx;
+  const height = maxLat - minLat;
+  const scale  = Math.min(box.w / (width || 1), box.h / (height || 1));
+  const offX   = box.x + (box.w - width  * scale) / 2;
+  const offY   = box.y + (box.h - height * scale) / 2;
+
+  ctx.lineWidth = lineWidth;
+  ctx.lineJoin  = 'round';
+  ctx.lineCap   = 'round';
+  for (const { points, color } of lines) {
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    points.forEach(([lon, lat], i) => {
+      const x = offX + (lon - minLon) * kx * scale;
+      const y = offY + (maxLat - lat) * scale;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+  }
+}
+
+/** Split text into at most maxLines lines, ending in … if it doesn't fit. */
+function wrapCanvasText(ctx, text, maxWidth, maxLines) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+
+  for (const word of words) {
+    const next = line ? `${line} ${word}` : word;
+    if (ctx.measureText(next).width <= maxWidth || !line) {
+      line = next;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] += '…';
+  }
+  return lines.map(l => fitCanvasText(ctx, l, maxWidth));
+}
+
+/** Shorten text with … until it fits. */
+function fitCanvasText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let out = text;
+  while (out.length > 1 && ctx.measureText(`${out}…`).width > maxWidth) out = out.slice(0, -1);
+  return `${out.trimEnd()}…`;
+}
+
+/** Letter-spaced text, like the small-caps labels on the page — tighter (then shortened) if it won't fit. */
+function drawSpacedText(ctx, text, x, y, spacing, maxWidth) {
+  const width = ctx.measureText(text).width + spacing * (text.length - 1);
+  if (width > maxWidth) {
+    ctx.fillText(fitCanvasText(ctx, text, maxWidth), x, y);
+    return;
+  }
+  let cx = x;
+  for (const ch of text) {
+    ctx.fillText(ch, cx, y);
+    cx += ctx.measureText(ch).width + spacing;
+  }
+}
+
+function formatShareDates(start, end) {
+  if (!start) return '';
+  if (!end || end === start) return formatDateLong(start);
+  return `${formatDate(start)} – ${formatDate(end)}`;
+}
@@ -0,0 +1,307 @@
+/* ============================================================
+   HIKING JOURNAL — tracks.js
+   Day track loading shared by the homepage and trip pages.
+
+   meta.json "days" entries may name any of:
+     .geojson / .json  — used as-is
+     .gpx              — <trk>/<trkseg>/<trkpt> or <rte>/<rtept>,
+                         plus <wpt> waypoints
+     .kml              — <LineString> coordinates or <gx:Track>
+     .tcx              — <Trackpoint> with <Position>
+
+   XML formats are parsed in the browser into the same GeoJSON
+   structure the rest of the site expects:
+     - coordinates are [lon, lat, ele_meters]
+     - per-point timestamps go in properties.coordTimes (ISO strings),
+       nested per line for MultiLineString
+     - the track name goes in properties.name
+     - GPX <wpt> become Point features with name, type (from <type>
+       or <sym>) and description — see waypoints.js
+
+   Also holds the helpers that read the route out of that GeoJSON,
+   used by the homepage, trip and trail pages and, via
+   module.exports, by scripts/build-summary.js.
+   ============================================================ */
+
+'use strict';
+
+/**
+ * Fetch a day file and return it as GeoJSON.
+ * Throws on HTTP errors and on files that can't be parsed.
+ * @param {string} url
+ * @returns {Promise<object>} GeoJSON FeatureCollection / Feature / geometry
+ */
+async function fetchDayTrack(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+  const format = trackFormat(url);
+  if (format === 'geojson') return res.json();
+
+  return parseTrackText(await res.text(), format);
+}
+
+/* ---- Reading the route from GeoJSON ---------------------- */
+
+/**
+ * [lon, lat, ele?] points of the route — the first line feature, with
+ * MultiLineString parts joined.
+ * @param {object} geojson - FeatureCollection, Feature or geometry
+ * @returns {number[][]}
+ */
+function extractCoords(geojson) {
+  if (!geojson) return [];
+  // FeatureCollection: find first LineString feature
+  if (geojson.type === 'FeatureCollection') {
+    for (const feature of geojson.features || []) {
+      const c = extractCoordsFromGeometry(feature.geometry);
+      if (c.length) return c;
+    }
+  }
+  // Feature
+  if (geojson.type === 'Feature') {
+    return extractCoordsFromGeometry(geojson.geometry);
+  }
+  // Direct geometry
+  return extractCoordsFromGeometry(geojson);
+}
+
+function extractCoordsFromGeometry(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'LineString') return geometry.coordinates || [];
+  if (geometry.type === 'MultiLineString') return (geometry.coordinates || []).flat();
+  return [];
+}
+
+/** Properties of the route feature — the first line, not a waypoint. */
+function getFirstFeatureProps(geojson) {
+  if (!geojson) return null;
+  if (geojson.type === 'FeatureCollection') {
+    const features = geojson.features || [];
+    const route = features.find(f => f && isLineGeometry(f.geometry)) || features[0];
+    return (route && route.properties) || null;
+  }
+  if (geojson.type === 'Feature') return geojson.properties || null;
+  return null;
+}
+
+function isLineGeometry(geometry) {
+  return !!geometry && (geometry.type === 'LineString' || geometry.type === 'MultiLineString');
+}
+
+/* ---- Parsing GPX / KML / TCX ------------------------------ */
+
+/**
+ * Work out a day file's format from its extension.
+ * Anything unrecognised is treated as GeoJSON.
+ * @param {string} filename
+ * @returns {'geojson'|'gpx'|'kml'|'tcx'}
+ */
+function trackFormat(filename) {
+  const ext = String(filename).split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return ['gpx', 'kml', 'tcx'].includes(ext) ? ext : 'geojson';
+}
+
+/**
+ * Parse GPX / KML / TCX text into a GeoJSON FeatureCollection.
+ * @param {string} text
+ * @param {'gpx'|'kml'|'tcx'} format
+ * @returns {object}
+ */
+function parseTrackText(text, format) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const parseError = doc.getElementsByTagName('parsererror')[0];
+  if (parseError) {
+    throw new Error(`Invalid ${format.toUpperCase()}: ${parseError.textContent.trim().split('\n')[0]}`);
+  }
+
+  let features;
+  if (format === 'gpx')      features = parseGpx(doc);
+  else if (format === 'kml') features = parseKml(doc);
+  else                       features = parseTcx(doc);
+
+  if (!features.some(f => f.geometry.type !== 'Point')) {
+    throw new Error(`No track found in ${format.toUpperCase()} file`);
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+/* ---- GPX -------------------------------------------------- */
+function parseGpx(doc) {
+  const features = [];
+
+  const tracks = [
+    ...byTag(doc, 'trk').map(trk => ({ el: trk, lines: byTag(trk, 'trkseg').map(seg => byTag(seg, 'trkpt')) })),
+    ...byTag(doc, 'rte').map(rte => ({ el: rte, lines: [byTag(rte, 'rtept')] })),
+  ];
+
+  for (const { el, lines } of tracks) {
+    const parsed = lines
+      .map(pts => readPoints(pts, pt => ({
+        lat:  pt.getAttribute('lat'),
+        lon:  pt.getAttribute('lon'),
+        ele:  childText(pt, 'ele'),
+        time: childText(pt, 'time'),
+      })))
+      .filter(line => line.coords.length);
+
+    const feature = buildLineFeature(parsed, childText(el, 'name'));
+    if (feature) features.push(feature);
+  }
+
+  // Waypoints — campsites, water and so on
+  for (const wpt of byTag(doc, 'wpt')) {
+    const lat = parseFloat(wpt.getAttribute('lat'));
+    const lon = parseFloat(wpt.getAttribute('lon'));
+    if (!isFinite(lat) || !isFinite(lon)) continue;
+
+    const ele = parseFloat(childText(wpt, 'ele'));
+    const properties = {};
+    const name = childText(wpt, 'name');
+    const type = childText(wpt, 'type') || childText(wpt, 'sym');
+    const desc = childText(wpt, 'desc') || childText(wpt, 'cmt');
+    if (name) properties.name = name;
+    if (type) properties.type = type;
+    if (desc) properties.description = desc;
+
+    features.push({
+      type: 'Feature',
+      properties,
+      geometry: { type: 'Point', coordinates: isFinite(ele) ? [lon, lat, ele] : [lon, lat] },
+    });
+  }
+
+  return features;
+}
+
+/* ---- KML -------------------------------------------------- */
+function parseKml(doc) {
+  const features = [];
+
+  for (const placemark of byTag(doc, 'Placemark')) {
+    const lines = [];
+
+    // Plain <LineString><coordinates>lon,lat,ele lon,lat,ele …</coordinates>
+    for (const ls of byTag(placemark, 'LineString')) {
+      const raw = (childText(ls, 'coordinates') || '').trim();
+      if (!raw) continue;
+      const tuples = raw.split(/\s+/).map(t => t.split(','));
+      lines.push(readPoints(tuples, ([lon, lat, ele]) => ({ lat, lon, ele })));
+    }
+
+    // <gx:Track> — <when> and <gx:coord>"lon lat ele" pairs
+    for (const track of byTag(placemark, 'Track')) {
+      const whens  = byTag(track, 'when').map(w => w.textContent.trim());
+      const coords = byTag(track, 'coord').map(c => c.textContent.trim().split(/\s+/));
+      lines.push(readPoints(coords, ([lon, lat, ele], i) => ({ lat, lon, ele, time: whens[i] })));
+    }
+
+    const feature = buildLineFeature(lines.filter(l => l.coords.length), childText(placemark, 'name'));
+    if (feature) features.push(feature);
+  }
+
+  return features;
+}
+
+/* ---- TCX -------------------------------------------------- */
+function parseTcx(doc) {
+  const features = [];
+
+  for (const activity of byTag(doc, 'Activity')) {
+    const lines = byTag(activity, 'Track')
+      .map(track => readPoints(
+        // Trackpoints without a Position (e.g. paused watch) carry no location
+        byTag(track, 'Trackpoint').filter(tp => byTag(tp, 'Position').length),
+        tp => {
+          const pos = byTag(tp, 'Position')[0];
+          return {
+            lat:  childText(pos, 'LatitudeDegrees'),
+            lon:  childText(pos, 'LongitudeDegrees'),
+            ele:  childText(tp, 'AltitudeMeters'),
+            time: childText(tp, 'Time'),
+          };
+        }
+      ))
+      .filter(line => line.coords.length);
+
+    const name = childText(activity, 'Notes') || childText(activity, 'Id');
+    const feature = buildLineFeature(lines, name);
+    if (feature) features.push(feature);
+  }
+
+  return features;
+}
+
+/* ---- Shared helpers --------------------------------------- */
+
+/**
+ * Turn raw point records into coordinates + times.
+ * Points with a missing or non-numeric lat/lon are dropped.
+ * @param {Array} items
+ * @param {function} read - item → { lat, lon, ele?, time? } (strings or numbers)
+ * @returns {{coords: number[][], times: (string|null)[]}}
+ */
+function readPoints(items, read) {
+  const coords = [];
+  const times  = [];
+
+  items.forEach((item, i) => {
+    const p   = read(item, i);
+    const lat = parseFloat(p.lat);
+    const lon = parseFloat(p.lon);
+    if (!isFinite(lat) || !isFinite(lon)) return;
+
+    const ele  = parseFloat(p.ele);
+    const time = p.time ? new Date(p.time) : null;
+    coords.push(isFinite(ele) ? [lon, lat, ele] : [lon, lat]);
+    times.push(time && !isNaN(time) ? time.toISOString() : null);
+  });
+
+  return { coords, times };
+}
+
+/** Build a LineString / MultiLineString feature from parsed lines. */
+function buildLineFeature(lines, name) {
+  if (lines.length === 0) return null;
+
+  const properties = {};
+  if (name) properties.name = name;
+
+  const single   = lines.length === 1;
+  const hasTimes = lines.some(l => l.times.some(t => t));
+  if (hasTimes) {
+    properties.coordTimes = single ? lines[0].times : lines.map(l => l.times);
+  }
+
+  return {
+    type: 'Feature',
+    properties,
+    geometry: single
+      ? { type: 'LineString',      coordinates: lines[0].coords }
+      : { type: 'MultiLineString', coordinates: lines.map(l => l.coords) },
+  };
+}
+
+/** All descendants with a given local name, ignoring XML namespaces. */
+function byTag(el, localName) {
+  return Array.from(el.getElementsByTagNameNS('*', localName));
+}
+
+/** Trimmed text of the first direct child with a given local name. */
+function childText(el, localName) {
+  for (const child of el.children) {
+    if (child.localName === localName) return child.textContent.trim();
+  }
+  return null;
+}
+
+/* ---- Node export (used by scripts/build-summary.js) ------- */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    extractCoords,
+    extractCoordsFromGeometry,
+    getFirstFeatureProps,
+    isLineGeometry,
+  };
+}
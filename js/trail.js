@@ -0,0 +1,554 @@
+/* ============================================================
+   HIKING JOURNAL — trail.js
+   Trail page: every section hike of one long trail together.
+
+   trails/trail.html?id=appalachian-trail
+   The id is the trail name in lower case with dashes. A trip
+   belongs to a trail through the "trail" field in its meta.json,
+   e.g.  "trail": "Appalachian Trail"
+   or, without one, the part of its title before " - " (see
+   tripTrailName() in utils.js).
+
+   The tracks of all the trail's trips are merged, oldest trip first:
+     - Track within COVER_TOLERANCE_MILES of track already counted
+       is a re-hike (a yo-yo, or the same stretch on a later trip)
+       and isn't counted again. What's left is the unique miles,
+       drawn in the colour of the trip that first covered it.
+     - Covered stretches that touch form a section. Sections and
+       the gaps between them are listed in order along the trail,
+       with the trip and day at each end.
+
+   There is no reference line for the trail itself, so "along the
+   trail" is along the straight line that best fits all the tracks
+   (south → north for the AT), and gaps are straight-line
+   distances between section ends.
+
+   Requires utils.js, units.js, tracks.js, maptools.js and
+   Leaflet to be loaded first.
+   ============================================================ */
+
+'use strict';
+
+const MILES_PER_DEGREE      = 69.09;   // one degree of latitude
+const COVER_TOLERANCE_MILES = 0.03;    // ~50 m: closer than this is the same trail
+const SELF_OVERLAP_MILES    = 0.5;     // a track only overlaps itself this far back (switchbacks)
+const MIN_STRETCH_MILES     = 0.1;     // shorter "new" bits between re-hiked track are GPS drift
+const MAX_STEP_MILES        = 0.5;     // a longer jump between points is a gap in the recording
+const JOIN_TOLERANCE_MILES  = 0.25;    // stretches this close belong to the same section
+
+/* ---- Initialise on DOM ready -------------------------------- */
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    const trailId  = new URLSearchParams(window.location.search).get('id');
+    const dataRoot = window.DATA_ROOT || '../data';
+    if (!trailId) {
+      showTrailError('No trail selected — open this page from the lifetime totals on the homepage.');
+      return;
+    }
+    initTrailPage(trailId, dataRoot);
+  });
+}
+
+/* ---- Main entry point --------------------------------------- */
+async function initTrailPage(trailId, dataRoot) {
+  let trips;
+  try {
+    trips = await loadTrailTrips(trailId, dataRoot);
+  } catch (err) {
+    showTrailError(err.message);
+    return;
+  }
+  if (trips.length === 0) {
+    showTrailError(`No trips are tagged with the trail "${trailId}".`);
+    return;
+  }
+
+  const name = trips[0].trail;
+  document.title = `${name} — Hiking Journal`;
+  setTrailText('trail-title', name);
+  setTrailText('trail-description',
+    `${trips.length} ${trips.length === 1 ? 'trip' : 'trips'}, ${formatDateRange(trips)}.`);
+
+  const coverage = calcTrailCoverage(trips);
+
+  setTrailText('trail-unique-distance', formatDistance(coverage.uniqueMiles));
+  setTrailText('trail-total-distance',  formatDistance(coverage.totalMiles));
+  setTrailText('trail-rehiked',         formatDistance(Math.max(0, coverage.totalMiles - coverage.uniqueMiles)));
+  setTrailText('trail-sections',        String(coverage.sections.length));
+  setTrailText('trail-gaps',            String(coverage.gaps.length));
+
+  buildTrailMap(coverage);
+  buildTrailTrips(coverage);
+  buildTrailSections(coverage);
+}
+
+/* ---- Loading ---------------------------------------------- */
+
+/**
+ * Every trip on the trail, oldest first, with its day tracks.
+ * @returns {Promise<object[]>} { trip_id, title, trail, start_date, end_date, page_url,
+ *                                days: [{ dayNumber, coords }] }
+ */
+async function loadTrailTrips(trailId, dataRoot) {
+  const res = await fetch(`${dataRoot}/trips.json`);
+  if (!res.ok) throw new Error(`HTTP ${res.status} fetching trips.json`);
+  const index = await res.json();
+
+  const metas = await Promise.all(index.map(async (entry) => {
+    try {
+      const metaRes = await fetch(`${dataRoot}/${entry.trip_id}/meta.json`);
+      return metaRes.ok ? { entry, meta: await metaRes.json() } : null;
+    } catch {
+      return null; // Leave out trips that fail to load
+    }
+  }));
+
+  const onTrail = metas.filter(m => {
+    const trail = m && tripTrailName(m.meta);
+    return trail && trailSlug(trail) === trailId;
+  });
+
+  const trips = await Promise.all(onTrail.map(async ({ entry, meta }) => {
+    const files = Array.isArray(meta.days) ? meta.days : [];
+    const days  = await Promise.all(files.map(async (filename, i) => {
+      try {
+        const geojson = await fetchDayTrack(`${dataRoot}/${entry.trip_id}/${filename}`);
+        const props   = getFirstFeatureProps(geojson);
+        return { dayNumber: (props && props.day != null) ? props.day : i + 1, coords: extractCoords(geojson) };
+      } catch {
+        return { dayNumber: i + 1, coords: [] };
+      }
+    }));
+
+    return {
+      trip_id:    entry.trip_id,
+      title:      meta.title || entry.trip_id,
+      trail:      tripTrailName(meta),
+      start_date: meta.start_date || null,
+      end_date:   meta.end_date   || null,
+      page_url:   `../trips/trip.html?id=${encodeURIComponent(entry.trip_id)}`,
+      days,
+    };
+  }));
+
+  // The first trip to cover a stretch gets the credit for it
+  return trips.sort((a, b) => (a.start_date || '9999').localeCompare(b.start_date || '9999'));
+}
+
+/* ---- Coverage --------------------------------------------- */
+
+/**
+ * Merge the trips' tracks into unique coverage, sections and gaps.
+ * @param {object[]} trips - From loadTrailTrips(), oldest first
+ * @returns {{totalMiles: number, uniqueMiles: number, trips: object[], stretches: object[],
+ *            sections: object[], gaps: object[], direction: {from: string, to: string}}}
+ *          trips:     the input trips plus { index, totalMiles, uniqueMiles }
+ *          stretches: { tripIndex, dayNumber, coords, miles } — unique track, for the map
+ *          sections:  { start, end, miles, tripIndexes } in order along the trail
+ *          gaps:      { from, to, miles } between consecutive sections
+ *          Section ends are { coord, tripIndex, dayNumber }.
+ */
+function calcTrailCoverage(trips) {
+  const allCoords = trips.flatMap(t => t.days.flatMap(d => d.coords));
+  const maxLat    = allCoords.reduce((m, c) => Math.max(m, Math.abs(c[1])), 0);
+  const covered   = createSegmentGrid(COVER_TOLERANCE_MILES, maxLat);
+  const stretches = [];
+  let lineId = 0;
+
+  const tripStats = trips.map((trip, index) => {
+    let totalMiles  = 0;
+    let uniqueMiles = 0;
+
+    for (const day of trip.days) {
+      totalMiles += calcDistance(day.coords);
+
+      for (const run of findNewRuns(day.coords, covered, lineId++)) {
+        const miles = Math.round(run.miles * 100) / 100;
+        stretches.push({ tripIndex: index, dayNumber: day.dayNumber, coords: run.coords, miles });
+        uniqueMiles += run.miles;
+      }
+    }
+    return { ...trip, index, totalMiles, uniqueMiles };
+  });
+
+  const direction = trailDirection(stretches);
+  const sections  = buildSections(stretches, direction, maxLat);
+  const gaps      = findGaps(sections);
+
+  const sum = (key) => Math.round(tripStats.reduce((s, t) => s + t[key], 0) * 10) / 10;
+  return {
+    totalMiles:  sum('totalMiles'),
+    uniqueMiles: sum('uniqueMiles'),
+    trips:       tripStats.map(t => ({
+      ...t,
+      totalMiles:  Math.round(t.totalMiles  * 10) / 10,
+      uniqueMiles: Math.round(t.uniqueMiles * 10) / 10,
+    })),
+    stretches,
+    sections,
+    gaps,
+    direction: { from: direction.from, to: direction.to },
+  };
+}
+
+/**
+ * Walk one day's track segment by segment against everything hiked
+ * before it (and earlier on the same track), and return the runs of
+ * track that are new. Every segment is then added to the grid.
+ * @returns {{coords: number[][], miles: number}[]}
+ */
+function findNewRuns(coords, covered, lineId) {
+  // 'new', 'seen' or 'gap' (a jump in the recording) per segment
+  const status = [];
+  const miles  = [];
+  let along = 0;
+
+  for (let i = 1; i < coords.length; i++) {
+    const a   = coords[i - 1];
+    const b   = coords[i];
+    const len = haversineDistance(a, b);
+    miles.push(len);
+
+    if (len > MAX_STEP_MILES) {
+      status.push('gap');
+    } else {
+      const mid  = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+      const seen = covered.near(mid, COVER_TOLERANCE_MILES,
+        seg => seg.lineId !== lineId || along - seg.along > SELF_OVERLAP_MILES);
+      status.push(seen ? 'seen' : 'new');
+      covered.add({ a, b, lineId, along });
+    }
+    along += len;
+  }
+
+  // Group into runs of the same status
+  const runs = [];
+  for (let i = 0; i < status.length; i++) {
+    const last = runs[runs.length - 1];
+    if (last && last.status === status[i]) {
+      last.end = i;
+      last.miles += miles[i];
+    } else {
+      runs.push({ status: status[i], start: i, end: i, miles: miles[i] });
+    }
+  }
+
+  // Short new bits between re-hiked track are drift, not new trail
+  return runs
+    .filter((run, i) => run.status === 'new' && !(
+      run.miles < MIN_STRETCH_MILES &&
+      runs[i - 1] && runs[i - 1].status === 'seen' &&
+      runs[i + 1] && runs[i + 1].status === 'seen'))
+    .map(run => ({ coords: coords.slice(run.start, run.end + 2), miles: run.miles }));
+}
+
+/**
+ * The straight line that best fits the stretches (principal axis),
+ * pointed into the northern half of the compass (east if it runs
+ * due east–west).
+ * @returns {{from: string, to: string, project: function(number[]): number}}
+ *          from / to: compass points of its two ends, e.g. 'southwest' → 'northeast'
+ */
+function trailDirection(stretches) {
+  const points = stretches.flatMap(s => s.coords);
+  if (points.length === 0) return { from: 'south', to: 'north', project: c => c[1] };
+
+  const my = points.reduce((s, c) => s + c[1], 0) / points.length;
+  const kx = Math.cos(my * Math.PI / 180);
+  const mx = points.reduce((s, c) => s + c[0] * kx, 0) / points.length;
+
+  let sxx = 0, syy = 0, sxy = 0;
+  for (const c of points) {
+    const dx = c[0] * kx - mx;
+    const dy = c[1] - my;
+    sxx += dx * dx;
+    syy += dy * dy;
+    sxy += dx * dy;
+  }
+
+  const angle = Math.atan2(2 * sxy, sxx - syy) / 2;
+  let ux = Math.cos(angle);
+  let uy = Math.sin(angle);
+  if (uy < 0 || (uy === 0 && ux < 0)) {
+    ux = -ux;
+    uy = -uy;
+  }
+
+  // Bearing clockwise from north, to the nearest of eight compass points
+  const compass = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+  const bearing = (Math.atan2(ux, uy) * 180 / Math.PI + 360) % 360;
+  const to      = Math.round(bearing / 45) % 8;
+
+  return {
+    from:    compass[(to + 4) % 8],
+    to:      compass[to],
+    project: c => (c[0] * kx - mx) * ux + (c[1] - my) * uy,
+  };
+}
+
+/** Group stretches that touch into sections, ordered along the trail. */
+function buildSections(stretches, direction, maxLat) {
+  const grid = createSegmentGrid(JOIN_TOLERANCE_MILES, maxLat);
+  stretches.forEach((stretch, id) => {
+    for (let i = 1; i < stretch.coords.length; i++) {
+      grid.add({ a: stretch.coords[i - 1], b: stretch.coords[i], id });
+    }
+  });
+
+  // Union-find over stretches whose ends come close to another stretch
+  const parent = stretches.map((_, i) => i);
+  const root   = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+
+  stretches.forEach((stretch, id) => {
+    const ends = [stretch.coords[0], stretch.coords[stretch.coords.length - 1]];
+    for (const end of ends) {
+      grid.near(end, JOIN_TOLERANCE_MILES, seg => {
+        if (seg.id !== id) parent[root(seg.id)] = root(id);
+        return false; // keep looking — it may touch several
+      });
+    }
+  });
+
+  const groups = new Map();
+  stretches.forEach((stretch, id) => {
+    const key = root(id);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(stretch);
+  });
+
+  const sections = [...groups.values()].map(group => {
+    let start = null;
+    let end   = null;
+    for (const stretch of group) {
+      for (const coord of stretch.coords) {
+        const pos   = direction.project(coord);
+        const point = { coord, pos, tripIndex: stretch.tripIndex, dayNumber: stretch.dayNumber };
+        if (!start || pos < start.pos) start = point;
+        if (!end   || pos > end.pos)   end   = point;
+      }
+    }
+    return {
+      start,
+      end,
+      miles:       Math.round(group.reduce((s, st) => s + st.miles, 0) * 10) / 10,
+      tripIndexes: [...new Set(group.map(st => st.tripIndex))].sort((a, b) => a - b),
+    };
+  });
+
+  return sections.sort((a, b) => a.start.pos - b.start.pos);
+}
+
+/**
+ * Gaps between sections along the trail. Sections that sit side by
+ * side (overlapping along the line) leave no gap between them.
+ */
+function findGaps(sections) {
+  const gaps = [];
+  let reach  = null;   // the section reaching furthest along so far
+
+  for (const section of sections) {
+    if (reach && section.start.pos > reach.end.pos) {
+      gaps.push({
+        from:  reach.end,
+        to:    section.start,
+        miles: Math.round(haversineDistance(reach.end.coord, section.start.coord) * 10) / 10,
+      });
+    }
+    if (!reach || section.end.pos > reach.end.pos) reach = section;
+  }
+  return gaps;
+}
+
+/**
+ * Spatial index of track segments on a lat/lon grid.
+ * @param {number} cellMiles - Cell size; near() looks as far as it needs to
+ * @param {number} maxLat    - Highest |latitude|, so cells are never narrower than cellMiles
+ * @returns {{add: function(object), near: function(number[], number, function): boolean}}
+ */
+function createSegmentGrid(cellMiles, maxLat) {
+  const cellLat = cellMiles / MILES_PER_DEGREE;
+  const cellLon = cellLat / Math.max(Math.cos(maxLat * Math.PI / 180), 0.01);
+  const cells   = new Map();
+  const key     = (x, y) => `${x},${y}`;
+
+  return {
+    /** Add a segment { a, b, ... } to every cell its bounding box touches. */
+    add(seg) {
+      const x0 = Math.floor(Math.min(seg.a[0], seg.b[0]) / cellLon);
+      const x1 = Math.floor(Math.max(seg.a[0], seg.b[0]) / cellLon);
+      const y0 = Math.floor(Math.min(seg.a[1], seg.b[1]) / cellLat);
+      const y1 = Math.floor(Math.max(seg.a[1], seg.b[1]) / cellLat);
+      for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) {
+          const k = key(x, y);
+          if (!cells.has(k)) cells.set(k, []);
+          cells.get(k).push(seg);
+        }
+      }
+    },
+
+    /**
+     * Is there a segment within `miles` of the point that `accept` agrees to?
+     * Stops at the first one accept() returns true for.
+     */
+    near(point, miles, accept) {
+      const reach = Math.ceil(miles / cellMiles);
+      const cx    = Math.floor(point[0] / cellLon);
+      const cy    = Math.floor(point[1] / cellLat);
+      for (let x = cx - reach; x <= cx + reach; x++) {
+        for (let y = cy - reach; y <= cy + reach; y++) {
+          for (const seg of cells.get(key(x, y)) || []) {
+            if (pointSegmentMiles(point, seg.a, seg.b) <= miles && accept(seg)) return true;
+          }
+        }
+      }
+      return false;
+    },
+  };
+}
+
+/** Distance from a point to a segment, in miles (flat-earth — fine at these distances). */
+function pointSegmentMiles(p, a, b) {
+  const kx = Math.cos(p[1] * Math.PI / 180) * MILES_PER_DEGREE;
+  const ax = (a[0] - p[0]) * kx, ay = (a[1] - p[1]) * MILES_PER_DEGREE;
+  const bx = (b[0] - p[0]) * kx, by = (b[1] - p[1]) * MILES_PER_DEGREE;
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+/* ---- Map -------------------------------------------------- */
+function buildTrailMap(coverage) {
+  const mapEl = document.getElementById('trail-map');
+  if (!mapEl || typeof L === 'undefined') return;
+  if (coverage.stretches.length === 0) {
+    mapEl.outerHTML = `<div class="map-error">No tracks could be loaded for this trail.</div>`;
+    return;
+  }
+
+  const map = L.map(mapEl, { scrollWheelZoom: true });
+  addBaseLayers(map);
+
+  const bounds = L.latLngBounds([]);
+  for (const stretch of coverage.stretches) {
+    const trip  = coverage.trips[stretch.tripIndex];
+    const layer = L.polyline(stretch.coords.map(([lon, lat]) => [lat, lon]), {
+      color: dayColorNeutral(stretch.tripIndex), weight: 3, opacity: 0.9, lineCap: 'round', lineJoin: 'round',
+    })
+      .bindTooltip(`${escapeHtml(trip.title)}<br>Day ${stretch.dayNumber}`, { sticky: true, className: 'hike-tooltip' })
+      .on('mouseover', () => layer.setStyle({ color: dayColorHover(stretch.tripIndex), weight: 5 }))
+      .on('mouseout',  () => layer.setStyle({ color: dayColorNeutral(stretch.tripIndex), weight: 3 }))
+      .on('click',     () => { window.location.href = `${trip.page_url}#day-${stretch.dayNumber}`; })
+      .addTo(map);
+    bounds.extend(layer.getBounds());
+  }
+
+  // Gaps: a dashed straight line between the section ends
+  coverage.gaps.forEach((gap, i) => {
+    L.polyline([gap.from.coord, gap.to.coord].map(([lon, lat]) => [lat, lon]), {
+      className: 'trail-gap-line', color: '#f0e6c8', weight: 1.5, opacity: 0.7, dashArray: '4 8',
+    })
+      .bindTooltip(`Gap ${i + 1} · ${formatDistance(gap.miles)} straight line`, { sticky: true, className: 'hike-tooltip' })
+      .addTo(map);
+  });
+
+  map.fitBounds(bounds, { padding: [32, 32] });
+  addMapTools(map, bounds);
+}
+
+/* ---- Lists ------------------------------------------------ */
+function buildTrailTrips(coverage) {
+  const el = document.getElementById('trail-trips');
+  if (!el) return;
+
+  el.innerHTML = coverage.trips.map(trip => `
+    <a class="legend-item trail-trip" href="${trip.page_url}">
+      <span class="legend-swatch" style="background:${dayColorNeutral(trip.index)}"></span>
+      <span class="trail-trip-title">${escapeHtml(tripSectionName(trip))}</span>
+      <span class="trail-trip-stats">${formatDistance(trip.uniqueMiles)} new of ${formatDistance(trip.totalMiles)}</span>
+    </a>`).join('');
+}
+
+function buildTrailSections(coverage) {
+  const el = document.getElementById('trail-sections-list');
+  if (!el) return;
+
+  const { from, to } = coverage.direction;
+  const rows = [];
+  coverage.sections.forEach((section, i) => {
+    rows.push(`
+      <tr>
+        <td>Section ${i + 1}</td>
+        <td>${renderTrailEnd(section.start, coverage)}</td>
+        <td>${renderTrailEnd(section.end, coverage)}</td>
+        <td>${formatDistance(section.miles)}</td>
+      </tr>`);
+
+    const gap = coverage.gaps.find(g => g.from === section.end);
+    if (gap) {
+      rows.push(`
+      <tr class="trail-gap-row">
+        <td>Gap</td>
+        <td>${renderTrailEnd(gap.from, coverage)}</td>
+        <td>${renderTrailEnd(gap.to, coverage)}</td>
+        <td>${formatDistance(gap.miles)} <span class="trail-gap-note">straight line</span></td>
+      </tr>`);
+    }
+  });
+
+  el.innerHTML = `
+    <p class="trail-sections-note">In order from the ${from}ern end to the ${to}ern end.</p>
+    <table class="days-table trail-sections-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>From</th>
+          <th>To</th>
+          <th>Distance</th>
+        </tr>
+      </thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>`;
+}
+
+function renderTrailEnd(end, coverage) {
+  const trip = coverage.trips[end.tripIndex];
+  const [lon, lat] = end.coord;
+  return `
+    <a href="${trip.page_url}#day-${end.dayNumber}">${escapeHtml(tripSectionName(trip))}, day ${end.dayNumber}</a>
+    <span class="trail-end-coord">${lat.toFixed(4)}, ${lon.toFixed(4)}</span>`;
+}
+
+/** "Springer Mountain to Unicoi Gap" from "Appalachian Trail - Springer Mountain to Unicoi Gap". */
+function tripSectionName(trip) {
+  const match = trip.title.match(/^.+?\s+[-–—]\s+(.+)$/);
+  return match ? match[1] : trip.title;
+}
+
+function formatDateRange(trips) {
+  const years = trips.map(t => t.start_date && t.start_date.slice(0, 4)).filter(Boolean).sort();
+  if (years.length === 0) return 'undated';
+  return years[0] === years[years.length - 1] ? years[0] : `${years[0]}–${years[years.length - 1]}`;
+}
+
+/* ---- Helpers ---------------------------------------------- */
+function setTrailText(id, text) {
+  const el = document.getElementById(id);
+  if (el) el.textContent = text;
+}
+
+function showTrailError(msg) {
+  setTrailText('trail-title', 'Trail not found');
+  setTrailText('trail-description', msg);
+  const content = document.getElementById('trail-content');
+  if (content) content.hidden = true;
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -2,25 +2,45 @@
    HIKING JOURNAL — trip.js
    Trip page script.
 
-   Each trip HTML file sets these globals before loading this script:
-     window.TRIP_ID  — folder name under /data/  (e.g. "appalachian-trail")
+   trips/trip.html renders every trip. The trip is picked by the URL:
+     trips/trip.html?id=appalachian-trail   (or #id=appalachian-trail)
+   where the id is the folder name under /data/. A page may instead set
+     window.TRIP_ID  — trip id, overrides the URL
      window.DATA_ROOT — optional override for data root path (defaults to "../data")
 
    This script then:
      1. Fetches /data/{TRIP_ID}/meta.json for dates, title, day file list
      2. Populates overview stats (distance + elevation computed from GeoJSON)
-     3. Initialises a Leaflet satellite map
-     4. Loads each day's GeoJSON as a separate coloured layer
-     5. Applies hover interaction on each day's route
+     3. Initialises a Leaflet map with a base layer switcher and map
+        tools — scale, fullscreen, measure, fit to route (maptools.js)
+     4. Loads each day's track (GeoJSON, GPX, KML or TCX) as a separate coloured layer
+     5. Applies hover, tap and keyboard interaction on each day's route
+     6. Draws the elevation profile under the map (profile.js)
+     7. Renders /data/{TRIP_ID}/journal.md, if any (journal.js)
+     8. Puts the journal's photos on the map from their EXIF (photos.js)
+     9. Shows campsites, water and other Point features (waypoints.js)
+    10. Opens a day detail panel from the table, legend, map or journal,
+        kept in the URL as #day-N (daypanel.js)
+    11. Plays the route back day by day under the map (playback.js)
+    12. Colours the route by grade or elevation and lists each day's
+        steepest climbs and descents (grade.js)
+    13. Draws a "Share image" PNG of the route and stats (share.js)
+    14. Lets routes, legend and day table be used by touch and keyboard,
+        and writes the route out as text for screen readers
    ============================================================ */
 
 'use strict';
 
+/* ---- Resolve the trip id ----------------------------------- */
+// Done at load time rather than on DOM ready so journal.js and gear.js,
+// which load after this script, read the same window.TRIP_ID.
+window.TRIP_ID = window.TRIP_ID || getTripIdFromUrl();
+
 /* ---- Initialise on DOM ready -------------------------------- */
 document.addEventListener('DOMContentLoaded', () => {
   const tripId = window.TRIP_ID;
   if (!tripId) {
-    console.error('[trip.js] window.TRIP_ID is not set.');
+    showMetaError('No trip selected — open this page from the trip list.');
     return;
   }
   const dataRoot = window.DATA_ROOT || '../data';
@@ -31,6 +51,13 @@ document.addEventListener('DOMContentLoaded', () => {
 async function initTripPage(tripId, dataRoot) {
   const metaUrl = `${dataRoot}/${tripId}/meta.json`;
 
+  // Journal loads alongside everything else; its "Day N" headings
+  // can only focus the map once the tracks are in
+  let selectDay = null;
+  const journalPhotos = buildJournal(tripId, dataRoot, (dayNumber) => {
+    if (selectDay) selectDay(dayNumber);
+  });
+
   let meta;
   try {
     const res = await fetch(metaUrl);
@@ -46,13 +73,25 @@ async function initTripPage(tripId, dataRoot) {
   setTextContent('trip-description', meta.description || '');
   setTextContent('trip-start-date',  formatDate(meta.start_date));
   setTextContent('trip-end-date',    formatDate(meta.end_date));
-  setTextContent('trip-elapsed',     calcElapsedTime(
+  const elapsed = calcElapsedTime(
     meta.start_date, meta.start_time,
     meta.end_date,   meta.end_time
-  ));
+  );
+  setTextContent('trip-elapsed',     elapsed);
+
+  // Section hikes: "Part of the Appalachian Trail →" (trails/trail.html)
+  const trail     = tripTrailName(meta);
+  const trailLink = document.getElementById('trip-trail-link');
+  if (trail && trailLink) {
+    trailLink.href        = `../trails/trail.html?id=${encodeURIComponent(trailSlug(trail))}`;
+    trailLink.textContent = `Part of the ${trail} →`;
+    trailLink.hidden      = false;
+  }
 
-  // Set page <title>
+  // Set page <title> and description
   document.title = (meta.title || tripId) + ' — Hiking Journal';
+  const descriptionEl = document.querySelector('meta[name="description"]');
+  if (descriptionEl && meta.description) descriptionEl.setAttribute('content', meta.description);
 
   // Load all day GeoJSON files
   const dayFiles = Array.isArray(meta.days) ? meta.days : [];
@@ -61,48 +100,114 @@ async function initTripPage(tripId, dataRoot) {
     return;
   }
 
-  const dayResults = await loadAllDays(tripId, dataRoot, dayFiles);
+  const dayResults = await loadAllDays(tripId, dataRoot, dayFiles, getElevationThreshold(meta));
 
   // Aggregate totals
   let totalDistance = 0;
   let totalElevation = 0;
+  let totalLoss = 0;
+  let highPoint = null;
   const validDays = dayResults.filter(d => d.ok);
 
   for (const day of validDays) {
     totalDistance  += day.distance;
     totalElevation += day.elevation;
+    totalLoss      += day.elevationLoss;
+    if (day.highPoint != null && (highPoint == null || day.highPoint > highPoint)) {
+      highPoint = day.highPoint;
+    }
   }
 
-  setTextContent('trip-total-distance',  `${Math.round(totalDistance * 10) / 10} mi`);
-  setTextContent('trip-total-elevation', `${formatNumber(Math.round(totalElevation / 10) * 10)} ft`);
-  const vertPerMile = totalDistance > 0
-  ? `${formatNumber(Math.round(totalElevation / totalDistance))} ft/mi`
-  : '—';
-setTextContent('trip-vert-per-mile', vertPerMile);
+  setTextContent('trip-total-distance',  formatDistance(totalDistance));
+  setTextContent('trip-total-elevation', formatElevation(totalElevation, 10));
+  setTextContent('trip-total-loss',      formatElevation(totalLoss, 10));
+  setTextContent('trip-high-point',      formatElevation(highPoint));
+  setTextContent('trip-vert-per-mile',   totalDistance > 0 ? formatVertRate(totalElevation / totalDistance) : '—');
+
+  // Moving / stopped time — only for trips whose tracks carry timestamps
+  showTimeTotals(validDays.filter(d => d.timeStats));
+
+  // "Share image" — the route and these numbers as a PNG (share.js)
+  buildTripShare(tripId, meta, validDays, [
+    { label: 'Distance',  value: formatDistance(totalDistance) },
+    { label: 'Vert gain', value: formatElevation(totalElevation, 10) },
+    { label: 'Duration',  value: elapsed },
+    { label: isMetric() ? 'Vert / km' : 'Vert / mile', value: totalDistance > 0 ? formatVertRate(totalElevation / totalDistance) : '—' },
+  ]);
+
+  // Day table rows, legend items and routes all open the day panel
+  let panel = null;
+  const openDay = (day) => { if (panel) panel.open(day); };
 
   // Render day table
-  buildDayTable(dayResults);
+  buildDayTable(dayResults, openDay);
+
+  // GPX / GeoJSON downloads (export.js)
+  buildDownloads(tripId, meta, dayResults);
 
   // Initialise map
-  buildMap(dayResults);
+  const map = buildMap(dayResults, openDay, meta.base_layer);
+
+  // Elevation profile, linked to the map
+  const profile = buildElevationProfile(dayResults, map);
+
+  // Color the route by day, grade or elevation; steepest climbs and descents
+  buildRouteColoring(dayResults, map, () => highlightDay(dayResults, dayResults.find(d => d.selected) || null));
+  buildHardestSections(dayResults, map);
+
+  // Play button and scrubber under the map
+  buildRoutePlayback(dayResults, map, getElevationThreshold(meta));
 
   // Build legend
-  buildLegend(dayResults);
+  buildLegend(dayResults, openDay);
+
+  // The route as text, for screen readers
+  buildRouteSummary(dayResults, totalDistance, totalElevation);
+
+  // Day detail panel — zooms the map and profile to the open day
+  panel = buildDayPanel(dayResults, {
+    onOpen: (day) => {
+      focusDay(map, profile, day);
+      highlightDay(dayResults, day);
+    },
+    onClose: () => {
+      highlightDay(dayResults, null);
+      if (profile) profile.showAll();
+    },
+  });
+
+  // Journal "Day N" headings
+  selectDay = (dayNumber) => {
+    const day = validDays.find(d => d.dayNumber === dayNumber);
+    if (day) openDay(day);
+  };
+
+  // Campsites, water, resupply… with a toggle per type
+  buildWaypointLayers(dayResults, map);
+
+  // Shared #day-N link
+  if (panel) panel.openFromHash();
+
+  // Camera markers for the journal's photos (and meta.json "photos"),
+  // also listed in the day panel
+  const photos = await buildPhotoMarkers(map, dayResults, collectTripPhotos(tripId, meta, await journalPhotos), meta);
+  if (panel) panel.setPhotos(photos);
 }
 
-/* ---- Load all GeoJSON day files concurrently ---------------- */
-async function loadAllDays(tripId, dataRoot, dayFiles) {
+/* ---- Load all day files concurrently ----------------------- */
+async function loadAllDays(tripId, dataRoot, dayFiles, thresholdM) {
   const promises = dayFiles.map((filename, index) =>
-    loadDayGeoJSON(tripId, dataRoot, filename, index)
+    loadDayGeoJSON(tripId, dataRoot, filename, index, thresholdM)
   );
   return Promise.all(promises);
 }
 
 /**
- * Fetch a single day GeoJSON file and extract stats.
+ * Fetch a single day file (GeoJSON, GPX, KML or TCX) and extract stats.
  * Returns a result object whether or not the fetch succeeded.
+ * `thresholdM` is the elevation noise threshold from meta.json.
  */
-async function loadDayGeoJSON(tripId, dataRoot, filename, index) {
+async function loadDayGeoJSON(tripId, dataRoot, filename, index, thresholdM) {
   const url = `${dataRoot}/${tripId}/${filename}`;
   const result = {
     index,
@@ -110,33 +215,60 @@ async function loadDayGeoJSON(tripId, dataRoot, filename, index) {
     url,
     ok: false,
     geojson: null,
+    coords: [],
     dayNumber: index + 1,
+    name: null,
     distance: 0,
     elevation: 0,
+    elevationLoss: 0,
+    highPoint: null,
+    lowPoint: null,
+    times: null,
+    timeStats: null,
+    waypoints: [],
+    camp: null,
     error: null,
   };
 
   try {
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const geojson = await res.json();
+    // GeoJSON, GPX, KML and TCX all come back as GeoJSON (tracks.js)
+    const geojson = await fetchDayTrack(url);
     result.geojson = geojson;
     result.ok = true;
 
     // Extract coords from the first LineString feature
     const coords = extractCoords(geojson);
+    result.coords = coords;
 
     // Use embedded properties if present; otherwise compute from coordinates
     const props = getFirstFeatureProps(geojson);
     result.dayNumber = (props && props.day != null) ? props.day : index + 1;
+    result.name      = (props && props.name) || null;
 
     result.distance = (props && props.distance_miles != null)
       ? props.distance_miles
       : calcDistance(coords);
 
+    const eleStats = calcElevationStats(coords, thresholdM);
+
     result.elevation = (props && props.elevation_gain_ft != null)
       ? props.elevation_gain_ft
-      : calcElevationGain(coords);
+      : eleStats.gain;
+
+    result.elevationLoss = (props && props.elevation_loss_ft != null)
+      ? props.elevation_loss_ft
+      : eleStats.loss;
+
+    result.highPoint = eleStats.max;
+    result.lowPoint  = eleStats.min;
+
+    // Moving time / pace when the track has per-point timestamps
+    result.times     = extractTimes(geojson);
+    result.timeStats = calcTimeStats(coords, result.times);
+
+    // Campsites, water etc. — and the camp the day ended at
+    result.waypoints = extractWaypoints(geojson);
+    result.camp      = findDayCamp(result);
 
   } catch (err) {
     result.error = err.message;
@@ -146,59 +278,54 @@ async function loadDayGeoJSON(tripId, dataRoot, filename, index) {
   return result;
 }
 
-/* ---- Extract coordinate array from GeoJSON ---------------- */
-function extractCoords(geojson) {
-  if (!geojson) return [];
-  // FeatureCollection: find first LineString feature
-  if (geojson.type === 'FeatureCollection') {
-    for (const feature of geojson.features || []) {
-      const c = extractCoordsFromGeometry(feature.geometry);
-      if (c.length) return c;
-    }
-  }
-  // Feature
-  if (geojson.type === 'Feature') {
-    return extractCoordsFromGeometry(geojson.geometry);
-  }
-  // Direct geometry
-  return extractCoordsFromGeometry(geojson);
-}
+/* ---- Extract per-point timestamps --------------------------- */
+/**
+ * Per-point times (epoch ms) aligned with extractCoords(), read from a
+ * `coordTimes` property or a 4th coordinate value.
+ * @returns {(number|null)[]|null} null when the track has no timestamps
+ */
+function extractTimes(geojson) {
+  if (!geojson) return null;
 
-function extractCoordsFromGeometry(geometry) {
-  if (!geometry) return [];
-  if (geometry.type === 'LineString') return geometry.coordinates || [];
-  if (geometry.type === 'MultiLineString') return (geometry.coordinates || []).flat();
-  return [];
-}
+  let features;
+  if (geojson.type === 'FeatureCollection') features = geojson.features || [];
+  else if (geojson.type === 'Feature')      features = [geojson];
+  else                                      features = [{ geometry: geojson }];
 
-function getFirstFeatureProps(geojson) {
-  if (!geojson) return null;
-  if (geojson.type === 'FeatureCollection') {
-    return (geojson.features && geojson.features[0] && geojson.features[0].properties) || null;
+  // Same feature extractCoords() picks: the first one with line coordinates
+  for (const feature of features) {
+    const coords = extractCoordsFromGeometry(feature.geometry);
+    if (!coords.length) continue;
+
+    const coordTimes = feature.properties && feature.properties.coordTimes;
+    const raw   = Array.isArray(coordTimes) ? coordTimes.flat() : coords.map(c => c[3]);
+    const times = coords.map((_, i) => parseTimestamp(raw[i]));
+    return times.some(t => t != null) ? times : null;
   }
-  if (geojson.type === 'Feature') return geojson.properties || null;
   return null;
 }
 
 /* ---- Build the Leaflet map --------------------------------- */
-function buildMap(dayResults) {
+/**
+ * Build the route map. Each day's Leaflet layer is stored on its
+ * result as `day.layer` so other page features can hook into it.
+ * @param {object[]} dayResults
+ * @param {function} [onSelect] - Called with the day result when a route is clicked
+ * @param {string} [baseLayer]  - meta.json "base_layer" (see maptools.js)
+ * @returns {L.Map|null}
+ */
+function buildMap(dayResults, onSelect, baseLayer) {
   const mapEl = document.getElementById('trip-map');
-  if (!mapEl) return;
+  if (!mapEl) return null;
 
-  // Use ESRI World Imagery (satellite) — free, no API key required
   const map = L.map('trip-map', {
     zoomControl: true,
     scrollWheelZoom: true,
     attributionControl: true,
   });
 
-  L.tileLayer(
-    'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
-    {
-      attribution: 'Tiles © Esri — Source: Esri, DigitalGlobe, GeoEye, Earthstar Geographics, CNES/Airbus DS, USDA, USGS, AeroGRID, IGN, and the GIS User Community',
-      maxZoom: 18,
-    }
-  ).addTo(map);
+  // Satellite, topo, OpenTopoMap or OSM — free, no API key required
+  addBaseLayers(map, baseLayer);
 
   const allBounds = [];
   const layers = [];
@@ -206,36 +333,34 @@ function buildMap(dayResults) {
   for (const day of dayResults) {
     if (!day.ok || !day.geojson) continue;
 
-    const colorNeutral = dayColorNeutral(day.index);
-    const colorHover   = dayColorHover(day.index);
-
     const layer = L.geoJSON(day.geojson, {
+      // Route lines only — Point features are drawn by waypoints.js
+      filter: (feature) => isLineGeometry(feature.geometry || feature),
       style: {
-        color: colorNeutral,
-        weight: 2.5,
-        opacity: 0.85,
+        ...routeStyle(day, false),
         lineCap: 'round',
         lineJoin: 'round',
       },
       onEachFeature: (_feature, featureLayer) => {
-        // Hover interactions
+        // Hover interactions — the legend item and table row light up too
         featureLayer.on('mouseover', (e) => {
-          e.target.setStyle({ color: colorHover, weight: 4, opacity: 1 });
-
-          const tooltipHtml = buildTooltipHtml(day);
-          featureLayer.bindTooltip(tooltipHtml, {
-            sticky: true,
-            direction: 'top',
-            offset: [0, -6],
-            className: 'hike-tooltip',
-          }).openTooltip(e.latlng);
+          previewDay(dayResults, day);
+          openRouteTooltip(featureLayer, day, e.latlng);
         });
 
-        featureLayer.on('mouseout', (e) => {
-          e.target.setStyle({ color: colorNeutral, weight: 2.5, opacity: 0.85 });
+        featureLayer.on('mouseout', () => {
+          // The day open in the day panel stays highlighted
+          previewDay(dayResults, null);
           featureLayer.closeTooltip();
         });
 
+        // A tap never hovers, so clicks open the tooltip where they land too
+        featureLayer.on('click', (e) => {
+          if (isMeasuring(map)) return;
+          openRouteTooltip(featureLayer, day, e.latlng);
+          if (onSelect) onSelect(day);
+        });
+
         featureLayer.on('mousemove', (e) => {
           if (featureLayer.isTooltipOpen()) {
             featureLayer.getTooltip().setLatLng(e.latlng);
@@ -245,6 +370,7 @@ function buildMap(dayResults) {
     }).addTo(map);
 
     layers.push(layer);
+    day.layer = layer;
 
     try {
       const bounds = layer.getBounds();
@@ -253,21 +379,188 @@ function buildMap(dayResults) {
   }
 
   // Fit map to full route
+  let routeBounds = null;
   if (allBounds.length > 0) {
-    let combined = allBounds[0];
+    routeBounds = allBounds[0];
     for (let i = 1; i < allBounds.length; i++) {
-      combined = combined.extend(allBounds[i]);
+      routeBounds = routeBounds.extend(allBounds[i]);
     }
-    map.fitBounds(combined, { padding: [32, 32] });
+    map.fitBounds(routeBounds, { padding: [32, 32] });
   } else {
     // Fallback view if no valid bounds
     map.setView([39.5, -98.35], 4);
     showMapError('Could not determine route bounds.');
   }
 
+  // Scale bar, fit to route, fullscreen, measure
+  addMapTools(map, routeBounds);
+
+  // Tab to the route, arrow keys move day to day, Enter opens the day
+  addRouteKeyboard(dayResults, onSelect);
+
   // Hide loading placeholder
   const loadingEl = document.getElementById('map-loading');
   if (loadingEl) loadingEl.remove();
+
+  return map;
+}
+
+/** Route line style — highlighted on hover and while the day is selected. */
+function routeStyle(day, highlighted) {
+  // Coloured by grade or elevation (grade.js): the day lines are just hover
+  // targets over the colours, and a thin line marks the selected day
+  if (isRouteColored()) {
+    return highlighted
+      ? { color: '#f5f0e8', weight: 2, opacity: 0.9 }
+      : { color: dayColorNeutral(day.index), weight: 8, opacity: 0 };
+  }
+  return highlighted
+    ? { color: dayColorHover(day.index),   weight: 4,   opacity: 1 }
+    : { color: dayColorNeutral(day.index), weight: 2.5, opacity: 0.85 };
+}
+
+/**
+ * Mark one day (or none) as selected: its route stays highlighted and its
+ * legend item and table row are marked active.
+ */
+function highlightDay(dayResults, selected) {
+  for (const day of dayResults) {
+    day.selected = day === selected;
+    if (!day.layer) continue;
+    day.layer.setStyle(routeStyle(day, day.selected));
+    // A tapped route's tooltip stays open until another day is picked
+    if (!day.selected) day.layer.eachLayer(line => line.closeTooltip());
+  }
+  if (selected && selected.layer) selected.layer.bringToFront();
+
+  const index = selected ? String(selected.index) : null;
+  document.querySelectorAll('.legend-item, .day-row').forEach(el => {
+    const active = el.dataset.dayIndex === index;
+    el.classList.toggle('is-active', active);
+    if (active) el.setAttribute('aria-current', 'true');
+    else el.removeAttribute('aria-current');
+  });
+}
+
+/**
+ * Highlight one day (or none) without selecting it — while its route,
+ * legend item or table row is hovered or has keyboard focus. The other
+ * two are marked to match.
+ */
+function previewDay(dayResults, previewed) {
+  for (const day of dayResults) {
+    if (day.layer) day.layer.setStyle(routeStyle(day, day === previewed || day.selected));
+  }
+
+  const index = previewed ? String(previewed.index) : null;
+  document.querySelectorAll('.legend-item, .day-row').forEach(el => {
+    el.classList.toggle('is-hover', el.dataset.dayIndex === index);
+  });
+}
+
+/**
+ * Open a day's stats tooltip on one of its route lines — at `latlng`, or
+ * halfway along the line when there's no pointer (keyboard focus).
+ */
+function openRouteTooltip(line, day, latlng) {
+  line.bindTooltip(buildTooltipHtml(day), {
+    sticky: true,
+    direction: 'top',
+    offset: [0, -6],
+    className: 'hike-tooltip',
+  }).openTooltip(latlng);
+}
+
+/**
+ * Make each day's route reachable from the keyboard. The routes share one
+ * Tab stop; the arrow keys move between days in order (the SVG order
+ * changes as routes are brought to the front), showing each day's tooltip.
+ */
+function addRouteKeyboard(dayResults, onSelect) {
+  const items = [];
+  for (const day of dayResults) {
+    const line = day.layer && day.layer.getLayers()[0];
+    const el   = line && line.getElement && line.getElement();
+    if (!el) continue;
+
+    el.setAttribute('tabindex', items.length === 0 ? '0' : '-1');
+    el.setAttribute('role', 'button');
+    el.setAttribute('aria-label', describeDay(day, dayResults[day.index - 1]));
+    items.push({ el, day, line });
+  }
+
+  linkDayItems(items, {
+    onPreview: (day) => {
+      previewDay(dayResults, day);
+      for (const item of items) {
+        if (item.day === day) openRouteTooltip(item.line, day);
+        else item.line.closeTooltip();
+      }
+    },
+    onSelect,
+    roving: true,
+  });
+}
+
+/**
+ * Link a list of day elements — route lines, legend items or table rows —
+ * to the map highlight: hovering or focusing one previews its day, the
+ * arrow keys (and Home / End) move focus through the days and Enter or
+ * Space opens one.
+ * @param {{el: Element, day: object}[]} items - In day order
+ * @param {object}   options
+ * @param {function} options.onPreview  - Called with the day, or null when it's left
+ * @param {function} [options.onSelect] - Called with the day on Enter / Space
+ * @param {boolean}  [options.hover]    - Preview on mouse hover as well as focus
+ * @param {boolean}  [options.roving]   - The items share one Tab stop
+ */
+function linkDayItems(items, { onPreview, onSelect, hover, roving }) {
+  items.forEach(({ el, day }, i) => {
+    el.addEventListener('focus', () => {
+      if (roving) items.forEach(item => item.el.setAttribute('tabindex', item.el === el ? '0' : '-1'));
+      onPreview(day);
+    });
+    el.addEventListener('blur', () => onPreview(null));
+
+    if (hover) {
+      el.addEventListener('mouseenter', () => onPreview(day));
+      el.addEventListener('mouseleave', () => onPreview(null));
+    }
+
+    el.addEventListener('keydown', (e) => {
+      if (e.target !== el) return; // e.g. a row's GPX link
+
+      const next = { ArrowRight: i + 1, ArrowDown: i + 1, ArrowLeft: i - 1, ArrowUp: i - 1, Home: 0, End: items.length - 1 }[e.key];
+      if (next != null) {
+        e.preventDefault();
+        if (items[next]) items[next].el.focus();
+        return;
+      }
+
+      // Buttons already click on Enter / Space
+      if ((e.key === 'Enter' || e.key === ' ') && onSelect && el.tagName !== 'BUTTON') {
+        e.preventDefault();
+        onSelect(day);
+        // Opening a day brings its route to the front, which can drop focus
+        if (document.activeElement !== el) el.focus();
+      }
+    });
+  });
+}
+
+/**
+ * Bring one day into view: scroll to the map, fit it to the day's route
+ * and narrow the elevation profile to that day.
+ */
+function focusDay(map, profile, day) {
+  const mapEl = document.getElementById('trip-map');
+  if (mapEl) mapEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  if (map && day.layer) {
+    const bounds = day.layer.getBounds();
+    if (bounds.isValid()) map.fitBounds(bounds, { padding: [32, 32] });
+  }
+  if (profile) profile.zoomToDay(day.index);
 }
 
 function buildTooltipHtml(day) {
@@ -275,35 +568,91 @@ function buildTooltipHtml(day) {
     <div class="tooltip-day">Day ${day.dayNumber}</div>
     <div class="tooltip-stats">
       <div class="tooltip-stat">
-        <span class="tooltip-stat-val">${day.distance} mi</span>
+        <span class="tooltip-stat-val">${formatDistance(day.distance)}</span>
         <span class="tooltip-stat-lbl">Distance</span>
       </div>
       <div class="tooltip-stat">
-        <span class="tooltip-stat-val">+${formatNumber(day.elevation)} ft</span>
+        <span class="tooltip-stat-val">+${formatElevation(day.elevation)}</span>
         <span class="tooltip-stat-lbl">Elevation gain</span>
       </div>
+      <div class="tooltip-stat">
+        <span class="tooltip-stat-val">−${formatElevation(day.elevationLoss)}</span>
+        <span class="tooltip-stat-lbl">Elevation loss</span>
+      </div>
+      <div class="tooltip-stat">
+        <span class="tooltip-stat-val">${formatElevation(day.highPoint)}</span>
+        <span class="tooltip-stat-lbl">High point</span>
+      </div>
     </div>
   `;
 }
 
+/* ---- Trip time totals ------------------------------------- */
+/**
+ * Fill the moving-time stat blocks in the header from the days that have
+ * timestamps. The blocks stay hidden for trips without any.
+ */
+function showTimeTotals(timedDays) {
+  if (timedDays.length === 0) return;
+
+  let movingMs       = 0;
+  let stoppedMs      = 0;
+  let longestStopMs  = 0;
+  let movingDistance = 0;
+
+  for (const day of timedDays) {
+    const t = day.timeStats;
+    movingMs       += t.movingMs;
+    stoppedMs      += t.stoppedMs;
+    movingDistance += t.movingDistance;
+    if (t.longestStopMs > longestStopMs) longestStopMs = t.longestStopMs;
+  }
+
+  setTextContent('trip-moving-time',  formatDuration(movingMs));
+  setTextContent('trip-stopped-time', formatDuration(stoppedMs));
+  setTextContent('trip-moving-pace',  formatPace(movingDistance > 0 ? movingMs / 60000 / movingDistance : null));
+  setTextContent('trip-longest-stop', formatDuration(longestStopMs));
+
+  document.querySelectorAll('.trip-stat-block--time').forEach(el => { el.hidden = false; });
+}
+
 /* ---- Build day summary table ------------------------------ */
-function buildDayTable(dayResults) {
+/**
+ * @param {object[]} dayResults
+ * @param {function} [onSelect] - Called with the day result when a row is clicked
+ */
+function buildDayTable(dayResults, onSelect) {
   const tbody = document.getElementById('days-tbody');
   if (!tbody) return;
 
   tbody.innerHTML = '';
 
+  // Time columns are only shown when at least one day has timestamps
+  const table = tbody.closest('table');
+  if (table) table.classList.toggle('days-table--timed', dayResults.some(d => d.timeStats));
+
+  // Likewise the camp column, for trips with campsite / shelter points
+  if (table) table.classList.toggle('days-table--camps', dayResults.some(d => d.camp));
+
   for (const day of dayResults) {
     const tr = document.createElement('tr');
 
     if (day.ok) {
+      tr.className = 'day-row';
+      tr.dataset.dayIndex = day.index;
+      tr.tabIndex = 0;
       tr.innerHTML = `
         <td>
           <span class="day-color-dot" style="background:${dayColorNeutral(day.index)}"></span>
           Day ${day.dayNumber}
         </td>
-        <td>${day.distance} mi</td>
-        <td>+${formatNumber(day.elevation)} ft</td>
+        <td>${formatDistance(day.distance)}</td>
+        <td>+${formatElevation(day.elevation)}</td>
+        <td>−${formatElevation(day.elevationLoss)}</td>
+        <td>${formatElevation(day.highPoint)}</td>
+        <td class="camp-col">${day.camp ? escapeHtml(waypointName(day.camp)) : '—'}</td>
+        ${buildDayTimeCells(day.timeStats)}
+        <td><a class="day-download" href="#" data-day-index="${day.index}" title="Download Day ${day.dayNumber} as GPX">GPX</a></td>
       `;
     } else {
       tr.innerHTML = `
@@ -311,18 +660,51 @@ function buildDayTable(dayResults) {
           <span class="day-color-dot" style="background:#3a3a3a"></span>
           Day ${day.dayNumber}
         </td>
-        <td colspan="2" style="color:var(--text-dim);font-style:italic">
-          Failed to load (${day.error || 'unknown error'})
+        <td colspan="11" style="color:var(--text-dim);font-style:italic">
+          Failed to load (${escapeHtml(day.error || 'unknown error')})
         </td>
       `;
     }
 
     tbody.appendChild(tr);
   }
+
+  if (onSelect) {
+    tbody.addEventListener('click', (e) => {
+      const row = e.target.closest('.day-row');
+      if (!row || e.target.closest('a')) return; // GPX links download instead
+      const day = dayResults.find(d => d.index === Number(row.dataset.dayIndex));
+      if (day) onSelect(day);
+    });
+  }
+
+  // Hover or focus a row to highlight its route; arrow keys move between days
+  linkDayItems([...tbody.querySelectorAll('.day-row')].map(el => ({
+    el,
+    day: dayResults.find(d => d.index === Number(el.dataset.dayIndex)),
+  })), {
+    onPreview: (day) => previewDay(dayResults, day),
+    onSelect,
+    hover: true,
+  });
+}
+
+function buildDayTimeCells(t) {
+  if (!t) return '<td class="time-col">—</td>'.repeat(5);
+  return `
+        <td class="time-col">${formatClockTime(t.start)} – ${formatClockTime(t.end)}</td>
+        <td class="time-col">${formatDuration(t.movingMs)}</td>
+        <td class="time-col">${formatDuration(t.stoppedMs)}</td>
+        <td class="time-col">${formatPace(t.pace)}</td>
+        <td class="time-col">${formatDuration(t.longestStopMs)}</td>`;
 }
 
 /* ---- Build color legend ----------------------------------- */
-function buildLegend(dayResults) {
+/**
+ * @param {object[]} dayResults
+ * @param {function} [onSelect] - Called with the day result when a legend item is clicked
+ */
+function buildLegend(dayResults, onSelect) {
   const legend = document.getElementById('day-legend');
   if (!legend) return;
 
@@ -333,14 +715,100 @@ function buildLegend(dayResults) {
   }
 
   legend.innerHTML = validDays.map(day => `
-    <div class="legend-item">
+    <button type="button" class="legend-item" data-day-index="${day.index}">
       <span class="legend-swatch" style="background:${dayColorNeutral(day.index)}"></span>
       Day ${day.dayNumber}
-    </div>
+    </button>
   `).join('');
+
+  if (onSelect) {
+    legend.addEventListener('click', (e) => {
+      const item = e.target.closest('.legend-item');
+      if (!item) return;
+      const day = validDays.find(d => d.index === Number(item.dataset.dayIndex));
+      if (day) onSelect(day);
+    });
+  }
+
+  linkDayItems([...legend.querySelectorAll('.legend-item')].map(el => ({
+    el,
+    day: validDays.find(d => d.index === Number(el.dataset.dayIndex)),
+  })), {
+    onPreview: (day) => previewDay(dayResults, day),
+    hover: true,
+  });
+}
+
+/* ---- Route summary for screen readers --------------------- */
+/**
+ * Write the route as text into #route-summary — the trip totals, then one
+ * line per day — for screen readers, which get nothing from the map itself.
+ * @param {object[]} dayResults
+ * @param {number}   totalDistance - Miles
+ * @param {number}   totalElevation - Feet
+ */
+function buildRouteSummary(dayResults, totalDistance, totalElevation) {
+  const summary = document.getElementById('route-summary');
+  if (!summary) return;
+
+  const dayCount = dayResults.length;
+  summary.innerHTML = `
+    <p>Route map: ${dayCount} ${dayCount === 1 ? 'day' : 'days'}, ${spokenDistance(totalDistance)}, +${spokenElevation(totalElevation, 10)}.</p>
+    <ul>
+      ${dayResults.map(day => `<li>${escapeHtml(describeDay(day, dayResults[day.index - 1]))}</li>`).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * One day as a sentence, also the route's label for screen readers:
+ * "Day 3: 14.2 miles, +3,800 feet, from Gooch Mountain Shelter to Neels Gap."
+ * Start and end are named from the day's waypoints (or the previous day's
+ * camp); without any, the day's own name is used if it has one.
+ * @param {object} day
+ * @param {object} [prevDay]
+ * @returns {string}
+ */
+function describeDay(day, prevDay) {
+  const label = `Day ${day.dayNumber}`;
+  if (!day.ok) return `${label}: the track could not be loaded.`;
+
+  const start = day.coords[0];
+  const end   = day.coords[day.coords.length - 1];
+  const from  = start && (nearestWaypoint(day, start) || (prevDay && prevDay.ok && nearestWaypoint(prevDay, start, ['campsite', 'shelter'])));
+  const to    = end && (day.camp || nearestWaypoint(day, end));
+
+  let place = '';
+  if (from && to)                          place = `, from ${waypointName(from)} to ${waypointName(to)}`;
+  else if (to)                             place = `, to ${waypointName(to)}`;
+  else if (day.name && day.name !== label) place = `, ${day.name}`;
+
+  return `${label}: ${spokenDistance(day.distance)}, +${spokenElevation(day.elevation)}${place}.`;
+}
+
+// Units spelled out — "mi" and "ft" are read letter by letter
+function spokenDistance(miles) {
+  return `${formatNumber(Math.round(convertDistance(miles) * 10) / 10)} ${isMetric() ? 'kilometres' : 'miles'}`;
+}
+
+function spokenElevation(feet, step = 1) {
+  return `${formatNumber(Math.round(convertElevation(feet) / step) * step)} ${isMetric() ? 'metres' : 'feet'}`;
 }
 
 /* ---- Helpers ---------------------------------------------- */
+
+/**
+ * Trip id from ?id=… or, failing that, #id=… in the page URL.
+ * Only folder-name characters are accepted.
+ * @returns {string|null}
+ */
+function getTripIdFromUrl() {
+  const fromQuery = new URLSearchParams(window.location.search).get('id');
+  const fromHash  = new URLSearchParams(window.location.hash.replace(/^#/, '')).get('id');
+  const id = fromQuery || fromHash;
+  return id && /^[\w-]+$/.test(id) ? id : null;
+}
+
 function setTextContent(id, text) {
   const el = document.getElementById(id);
   if (el) el.textContent = text;
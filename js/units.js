@@ -0,0 +1,182 @@
+/* ============================================================
+   HIKING JOURNAL — units.js
+   Metric / imperial display units for the whole site.
+
+   Everything is computed in miles and feet (utils.js) and gear
+   weights are stored in ounces and pounds; only the display
+   changes. The choice is saved in localStorage, so it carries
+   across pages and visits.
+
+   The mi / km switch in the nav is any element with
+   [data-units-toggle]. Static labels that mention a unit carry
+   their metric text in data-metric, e.g.
+     <div class="label" data-metric="Vert / km">Vert / mile</div>
+
+   Switching reloads the page, so every script simply formats
+   with the functions below as it renders.
+
+   Requires utils.js to be loaded first.
+   ============================================================ */
+
+'use strict';
+
+const UNITS_STORAGE_KEY = 'mcd-moves-units';
+
+const KM_PER_MILE = 1.609344;
+const M_PER_FOOT  = 0.3048;
+const G_PER_OZ    = 28.349523125;
+const KG_PER_LB   = 0.45359237;
+
+document.addEventListener('DOMContentLoaded', () => {
+  applyUnitLabels();
+  initUnitsToggle();
+});
+
+/* ---- Preference ------------------------------------------- */
+
+/** @returns {'imperial'|'metric'} */
+function getUnits() {
+  try {
+    return localStorage.getItem(UNITS_STORAGE_KEY) === 'metric' ? 'metric' : 'imperial';
+  } catch {
+    return 'imperial'; // Storage blocked (private mode, file://)
+  }
+}
+
+function setUnits(units) {
+  try {
+    localStorage.setItem(UNITS_STORAGE_KEY, units);
+  } catch {
+    // Storage blocked — the choice can't be kept
+  }
+}
+
+function isMetric() {
+  return getUnits() === 'metric';
+}
+
+/* ---- Conversions ------------------------------------------ */
+
+/** Miles → display distance (mi or km). */
+function convertDistance(miles) {
+  return isMetric() ? miles * KM_PER_MILE : miles;
+}
+
+/** Feet → display elevation (ft or m). */
+function convertElevation(feet) {
+  return isMetric() ? feet * M_PER_FOOT : feet;
+}
+
+function distanceUnit() {
+  return isMetric() ? 'km' : 'mi';
+}
+
+function elevationUnit() {
+  return isMetric() ? 'm' : 'ft';
+}
+
+/* ---- Formatting ------------------------------------------- */
+
+/**
+ * "12.3 mi" / "19.8 km"
+ * @param {number} miles
+ * @param {number} [decimals=1]
+ * @returns {string} "—" when missing
+ */
+function formatDistance(miles, decimals = 1) {
+  if (miles == null || isNaN(miles)) return '—';
+  const f = 10 ** decimals;
+  return `${formatNumber(Math.round(convertDistance(miles) * f) / f)} ${distanceUnit()}`;
+}
+
+/**
+ * "1,230 ft" / "375 m"
+ * @param {number} feet
+ * @param {number} [step=1] - Round to this many display units (10 for trip totals)
+ * @returns {string} "—" when missing
+ */
+function formatElevation(feet, step = 1) {
+  if (feet == null || isNaN(feet)) return '—';
+  return `${formatNumber(Math.round(convertElevation(feet) / step) * step)} ${elevationUnit()}`;
+}
+
+/** Climb per distance: "214 ft/mi" / "41 m/km". */
+function formatVertRate(feetPerMile) {
+  if (feetPerMile == null || !isFinite(feetPerMile)) return '—';
+  const rate = isMetric() ? feetPerMile * M_PER_FOOT / KM_PER_MILE : feetPerMile;
+  return `${formatNumber(Math.round(rate))} ${elevationUnit()}/${distanceUnit()}`;
+}
+
+/**
+ * Format a pace, e.g. 24.5 min/mi → "24:30 /mi" (or "15:14 /km").
+ * @param {number} minPerMile
+ * @returns {string}
+ */
+function formatPace(minPerMile) {
+  if (minPerMile == null || !isFinite(minPerMile) || minPerMile <= 0) return '—';
+  const pace = isMetric() ? minPerMile / KM_PER_MILE : minPerMile;
+  let mins = Math.floor(pace);
+  let secs = Math.round((pace - mins) * 60);
+  if (secs === 60) { mins += 1; secs = 0; }
+  return `${mins}:${String(secs).padStart(2, '0')} /${distanceUnit()}`;
+}
+
+/**
+ * A gear item weight in ounces → "8.14" (oz) or "231" (g).
+ * Values that aren't numbers are returned unchanged.
+ * @param {string|number} oz
+ * @returns {string}
+ */
+function formatItemWeight(oz) {
+  const n = parseFloat(oz);
+  if (isNaN(n)) return String(oz == null ? '' : oz);
+  return isMetric() ? formatNumber(Math.round(n * G_PER_OZ)) : n.toFixed(2);
+}
+
+/**
+ * A gear total in pounds → "5.15" (lbs) or "2.34" (kg).
+ * Accepts strings such as "10.00 lbs"; values that aren't numbers
+ * are returned unchanged.
+ * @param {string|number} lbs
+ * @returns {string}
+ */
+function formatTotalWeight(lbs) {
+  const n = parseFloat(lbs);
+  if (isNaN(n)) return String(lbs == null ? '' : lbs);
+  return (isMetric() ? n * KG_PER_LB : n).toFixed(2);
+}
+
+function itemWeightUnit() {
+  return isMetric() ? 'g' : 'oz';
+}
+
+function totalWeightUnit() {
+  return isMetric() ? 'kg' : 'lbs';
+}
+
+/* ---- Page wiring ------------------------------------------ */
+
+/** Swap in the data-metric text of static labels. */
+function applyUnitLabels(root = document) {
+  if (!isMetric()) return;
+  root.querySelectorAll('[data-metric]').forEach(el => {
+    el.textContent = el.dataset.metric;
+  });
+}
+
+/** Mark the current choice on the nav switch and reload on change. */
+function initUnitsToggle() {
+  document.querySelectorAll('[data-units-toggle]').forEach(toggle => {
+    const units = getUnits();
+    toggle.querySelectorAll('[data-units]').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.units === units));
+    });
+
+    toggle.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-units]');
+      if (!btn || btn.dataset.units === getUnits()) return;
+      setUnits(btn.dataset.units);
+      window.location.reload();
+    });
+  });
+}
@@ -1,6 +1,9 @@
 /* ============================================================
    HIKING JOURNAL — utils.js
    Shared math utilities used by both homepage and trip pages.
+
+   Also loaded by the Node scripts in /scripts (via module.exports
+   at the bottom) so offline builds use exactly the same math.
    ============================================================ */
 
 'use strict';
@@ -42,24 +45,120 @@ function calcDistance(coords) {
 }
 
 /**
- * Calculate cumulative elevation gain from a coordinate array.
+ * Running distance along a coordinate array.
+ * @param {number[][]} coords - Array of [lon, lat] or [lon, lat, ele] points
+ * @returns {number[]} Miles from the first point, one per point (unrounded)
+ */
+function calcCumulativeDistance(coords) {
+  const out = [0];
+  for (let i = 1; i < coords.length; i++) {
+    out.push(out[i - 1] + haversineDistance(coords[i - 1], coords[i]));
+  }
+  return out;
+}
+
+/**
+ * Default noise threshold for elevation gain/loss, in metres.
+ * Climbs or descents smaller than this between turning points are treated
+ * as GPS / DEM jitter and ignored. Override per trip with
+ * "elevation_threshold_m" in meta.json (0 = count every change).
+ */
+const ELEVATION_THRESHOLD_M = 3;
+
+/**
+ * Read a trip's elevation noise threshold from meta.json.
+ * @param {object} meta
+ * @returns {number} Threshold in metres
+ */
+function getElevationThreshold(meta) {
+  const t = meta && meta.elevation_threshold_m;
+  return (typeof t === 'number' && t >= 0) ? t : ELEVATION_THRESHOLD_M;
+}
+
+/**
+ * Calculate elevation statistics from a coordinate array.
  * Requires elevation as the 3rd element of each coordinate: [lon, lat, ele_meters].
- * @param {number[][]} coords - Array of [lon, lat, elevation_meters] points
- * @returns {number} Total elevation gain in feet, rounded to nearest 10
+ *
+ * Gain and loss use hysteresis: elevation is only counted once it has moved
+ * at least `thresholdM` away from the last counted point, so small wiggles on
+ * dense DEM-sampled tracks don't add up.
+ *
+ * @param {number[][]} coords     - Array of [lon, lat, elevation_meters] points
+ * @param {number}     [thresholdM] - Noise threshold in metres (default ELEVATION_THRESHOLD_M)
+ * @returns {{gain:number, loss:number, max:number|null, min:number|null}}
+ *   gain/loss in feet rounded to nearest 10; max/min (high/low point) in feet,
+ *   or null when the track has no elevation
  */
-function calcElevationGain(coords) {
-  if (!coords || coords.length < 2) return 0;
+function calcElevationStats(coords, thresholdM = ELEVATION_THRESHOLD_M) {
+  const stats = { gain: 0, loss: 0, max: null, min: null };
+  if (!coords || coords.length === 0) return stats;
+
+  const { gain, loss } = walkElevation(coords, thresholdM);
+
+  let max = -Infinity;
+  let min = Infinity;
+  for (const c of coords) {
+    const ele = c[2];
+    if (typeof ele !== 'number') continue;
+    if (ele > max) max = ele;
+    if (ele < min) min = ele;
+  }
+
+  // Convert meters to feet, round gain/loss to nearest 10
+  stats.gain = Math.round((gain * 3.28084) / 10) * 10;
+  stats.loss = Math.round((loss * 3.28084) / 10) * 10;
+  if (max !== -Infinity) {
+    stats.max = Math.round(max * 3.28084);
+    stats.min = Math.round(min * 3.28084);
+  }
+  return stats;
+}
+
+/**
+ * The hysteresis walk behind calcElevationStats(): elevation only counts
+ * once it has moved at least `thresholdM` from the last counted point.
+ * `visit`, if given, is called after every point with the metres gained and
+ * lost so far — for running totals along the track (playback.js).
+ * @param {number[][]} coords       - Array of [lon, lat, elevation_meters] points
+ * @param {number}     [thresholdM] - Noise threshold in metres
+ * @param {function}   [visit]      - (index, gainM, lossM)
+ * @returns {{gain:number, loss:number}} Metres, unrounded
+ */
+function walkElevation(coords, thresholdM = ELEVATION_THRESHOLD_M, visit) {
   let gain = 0;
-  for (let i = 1; i < coords.length; i++) {
-    const prevEle = coords[i - 1][2];
-    const currEle = coords[i][2];
-    if (typeof prevEle === 'number' && typeof currEle === 'number') {
-      const diff = currEle - prevEle;
-      if (diff > 0) gain += diff;
+  let loss = 0;
+  let ref  = null;
+
+  coords.forEach((c, i) => {
+    const ele = c[2];
+    if (typeof ele === 'number' && ref === null) {
+      ref = ele;
+    } else if (typeof ele === 'number') {
+      const diff = ele - ref;
+      if (diff > 0 && diff >= thresholdM) {
+        gain += diff;
+        ref = ele;
+      } else if (diff < 0 && -diff >= thresholdM) {
+        loss -= diff;
+        ref = ele;
+      }
     }
-  }
-  // Convert meters to feet, round to nearest 10
-  return Math.round((gain * 3.28084) / 10) * 10;
+
+    if (visit) visit(i, gain, loss);
+  });
+
+  return { gain, loss };
+}
+
+/**
+ * Calculate cumulative elevation gain from a coordinate array.
+ * Shorthand for calcElevationStats(coords, thresholdM).gain.
+ * @param {number[][]} coords     - Array of [lon, lat, elevation_meters] points
+ * @param {number}     [thresholdM] - Noise threshold in metres
+ * @returns {number} Total elevation gain in feet, rounded to nearest 10
+ */
+function calcElevationGain(coords, thresholdM) {
+  return calcElevationStats(coords, thresholdM).gain;
 }
 
 /**
@@ -84,25 +183,133 @@ function calcElapsedTime(startDate, startTime, endDate, endTime) {
   try {
     const start = new Date(`${startDate}T${startTime || '00:00'}`);
     const end   = new Date(`${endDate}T${endTime   || '00:00'}`);
-    let diffMs  = end - start;
-    if (diffMs <= 0) return '—';
-
-    const days    = Math.floor(diffMs / 86400000);
-    diffMs       -= days * 86400000;
-    const hours   = Math.floor(diffMs / 3600000);
-    diffMs       -= hours * 3600000;
-    const minutes = Math.floor(diffMs / 60000);
-
-    const parts = [];
-    if (days)    parts.push(`${days}d`);
-    if (hours)   parts.push(`${hours}h`);
-    if (minutes) parts.push(`${minutes}m`);
-    return parts.join(' ') || '< 1m';
+    return formatDuration(end - start);
   } catch {
     return '—';
   }
 }
 
+/**
+ * Format a duration in milliseconds, e.g. 4h 12m or 2d 3h.
+ * @param {number} ms
+ * @returns {string} "—" for missing or non-positive durations
+ */
+function formatDuration(ms) {
+  if (ms == null || isNaN(ms) || ms <= 0) return '—';
+
+  let diffMs    = ms;
+  const days    = Math.floor(diffMs / 86400000);
+  diffMs       -= days * 86400000;
+  const hours   = Math.floor(diffMs / 3600000);
+  diffMs       -= hours * 3600000;
+  const minutes = Math.floor(diffMs / 60000);
+
+  const parts = [];
+  if (days)    parts.push(`${days}d`);
+  if (hours)   parts.push(`${hours}h`);
+  if (minutes) parts.push(`${minutes}m`);
+  return parts.join(' ') || '< 1m';
+}
+
+/* ---- Timestamped tracks ------------------------------------ */
+
+/**
+ * Minimum speed (mph) for a stretch of track to count as moving.
+ * Slower than this over a STOP_WINDOW_MS window is treated as a break.
+ */
+const STOP_SPEED_MPH = 0.6;
+const STOP_WINDOW_MS = 60000;
+
+/**
+ * Normalise a point timestamp to epoch milliseconds.
+ * Accepts ISO strings, epoch milliseconds or epoch seconds.
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number' && isFinite(value)) {
+    return value < 1e11 ? value * 1000 : value;
+  }
+  if (typeof value === 'string' && value) {
+    const t = Date.parse(value);
+    return isNaN(t) ? null : t;
+  }
+  return null;
+}
+
+/**
+ * Moving time, stopped time and pace from a timestamped track.
+ * Points are grouped into ~1 minute windows; a window slower than
+ * STOP_SPEED_MPH counts as stopped, which smooths out GPS jitter at camp
+ * or on breaks. Consecutive stopped windows make up one break.
+ *
+ * @param {number[][]}       coords - [lon, lat, ...] points
+ * @param {(number|null)[]}  times  - Epoch ms per point (same length as coords)
+ * @returns {{start:number, end:number, movingMs:number, stoppedMs:number,
+ *            longestStopMs:number, movingDistance:number, pace:number|null}|null}
+ *   movingDistance in miles, pace in minutes per mile; null without at least 2 timed points
+ */
+function calcTimeStats(coords, times) {
+  if (!coords || !times) return null;
+
+  const pts = [];
+  for (let i = 0; i < coords.length; i++) {
+    if (times[i] != null) pts.push({ c: coords[i], t: times[i] });
+  }
+  if (pts.length < 2) return null;
+
+  let movingMs       = 0;
+  let stoppedMs      = 0;
+  let longestStopMs  = 0;
+  let currentStopMs  = 0;
+  let movingDistance = 0;
+
+  let a = 0;
+  while (a < pts.length - 1) {
+    let b    = a + 1;
+    let dist = haversineDistance(pts[a].c, pts[b].c);
+    while (b < pts.length - 1 && pts[b].t - pts[a].t < STOP_WINDOW_MS) {
+      dist += haversineDistance(pts[b].c, pts[b + 1].c);
+      b++;
+    }
+
+    const dt = pts[b].t - pts[a].t;
+    if (dt > 0) {
+      const mph = dist / (dt / 3600000);
+      if (mph >= STOP_SPEED_MPH) {
+        movingMs       += dt;
+        movingDistance += dist;
+        currentStopMs   = 0;
+      } else {
+        stoppedMs     += dt;
+        currentStopMs += dt;
+        if (currentStopMs > longestStopMs) longestStopMs = currentStopMs;
+      }
+    }
+    a = b;
+  }
+
+  return {
+    start: pts[0].t,
+    end: pts[pts.length - 1].t,
+    movingMs,
+    stoppedMs,
+    longestStopMs,
+    movingDistance,
+    pace: movingDistance > 0 ? movingMs / 60000 / movingDistance : null,
+  };
+}
+
+/**
+ * Format an epoch-ms timestamp as a clock time, e.g. "7:05 AM".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatClockTime(ms) {
+  if (ms == null) return '—';
+  return new Date(ms).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
 /**
  * Format a date string (YYYY-MM-DD) to abbreviated form.
  * Used on trip pages: "Apr 5, 2025"
@@ -139,6 +346,161 @@ function formatDateLong(dateStr) {
   }
 }
 
+/**
+ * Short, stable hash of a string (32-bit FNV-1a, hex).
+ * Used to tell whether a trip's meta.json has changed since
+ * data/summary.json was built.
+ * @param {string} str
+ * @returns {string} 8 hex characters
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/* ---- Trails ------------------------------------------------ */
+
+/**
+ * The trail a trip belongs to: meta.trail, else the title up to " - ".
+ * @param {object} meta - Parsed meta.json
+ * @returns {string|null}
+ */
+function tripTrailName(meta) {
+  if (typeof meta.trail === 'string' && meta.trail.trim()) return meta.trail.trim();
+  const match = typeof meta.title === 'string' && meta.title.match(/^(.+?)\s+[-–—]\s+/);
+  return match ? match[1] : null;
+}
+
+/**
+ * URL id of a trail page: "Appalachian Trail" → "appalachian-trail".
+ * @param {string} name
+ * @returns {string}
+ */
+function trailSlug(name) {
+  return String(name).toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/* ---- Route outlines ---------------------------------------- */
+
+/**
+ * How closely a simplified outline follows the track, in degrees
+ * (~50 m). Plenty for card thumbnails and the overview map.
+ */
+const OUTLINE_TOLERANCE_DEG = 0.0005;
+
+/**
+ * Simplify a track to a light [lon, lat] outline (Douglas–Peucker).
+ * @param {number[][]} coords - [lon, lat, ...] points
+ * @param {number} [toleranceDeg]
+ * @returns {number[][]} [lon, lat] points, rounded to 5 decimals
+ */
+function simplifyCoords(coords, toleranceDeg = OUTLINE_TOLERANCE_DEG) {
+  if (coords.length <= 2) return coords.map(roundCoord);
+
+  const keep  = new Uint8Array(coords.length);
+  const stack = [[0, coords.length - 1]];
+  keep[0] = keep[coords.length - 1] = 1;
+
+  // Iterative, so very long tracks can't overflow the call stack
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDist = 0;
+    let index   = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistance(coords[i], coords[first], coords[last]);
+      if (d > maxDist) {
+        maxDist = d;
+        index   = i;
+      }
+    }
+    if (maxDist > toleranceDeg) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return coords.filter((c, i) => keep[i]).map(roundCoord);
+}
+
+// Planar distance from p to segment a–b, in degrees
+function segmentDistance(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSq = dx * dx + dy * dy;
+  let t = lengthSq ? ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq : 0;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+function roundCoord(c) {
+  return [Math.round(c[0] * 1e5) / 1e5, Math.round(c[1] * 1e5) / 1e5];
+}
+
+/**
+ * Encode an outline as a compact string (the Google encoded polyline
+ * format, 5 decimals) — how data/summary.json stores them.
+ * @param {number[][]} coords - [lon, lat] points
+ * @returns {string}
+ */
+function encodeOutline(coords) {
+  let out = '';
+  let prevLat = 0;
+  let prevLon = 0;
+  for (const [lon, lat] of coords) {
+    const latE5 = Math.round(lat * 1e5);
+    const lonE5 = Math.round(lon * 1e5);
+    out += encodeOutlineValue(latE5 - prevLat) + encodeOutlineValue(lonE5 - prevLon);
+    prevLat = latE5;
+    prevLon = lonE5;
+  }
+  return out;
+}
+
+function encodeOutlineValue(value) {
+  let v = value < 0 ? ~(value << 1) : value << 1;
+  let out = '';
+  while (v >= 0x20) {
+    out += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+  return out + String.fromCharCode(v + 63);
+}
+
+/**
+ * Decode a string from encodeOutline().
+ * @param {string} str
+ * @returns {number[][]} [lon, lat] points
+ */
+function decodeOutline(str) {
+  const coords = [];
+  let index = 0;
+  let lat   = 0;
+  let lon   = 0;
+
+  const next = () => {
+    let result = 0;
+    let shift  = 0;
+    let b;
+    do {
+      b = str.charCodeAt(index++) - 63;
+      result |= (b & 0x1f) << shift;
+      shift  += 5;
+    } while (b >= 0x20 && index < str.length);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < str.length) {
+    lat += next();
+    lon += next();
+    coords.push([lon / 1e5, lat / 1e5]);
+  }
+  return coords;
+}
+
 /**
  * Muted neutral colors for each day's route when not hovered.
  * Add more colors here if a trip has more than 8 days.
@@ -191,3 +553,46 @@ function dayColorNeutral(index) {
 function dayColorHover(index) {
   return DAY_COLORS_HOVER[index % DAY_COLORS_HOVER.length];
 }
+
+/* ---- Downloads --------------------------------------------- */
+
+/**
+ * Save text or a Blob as a file via a temporary object URL.
+ * @param {string}        filename
+ * @param {string|Blob}   data
+ * @param {string}        [mimeType] - For text; a Blob keeps its own type
+ */
+function downloadFile(filename, data, mimeType) {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* ---- Node export (scripts/) -------------------------------- */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    haversineDistance,
+    calcDistance,
+    calcCumulativeDistance,
+    calcElevationStats,
+    walkElevation,
+    calcElevationGain,
+    getElevationThreshold,
+    calcElapsedTime,
+    formatDuration,
+    parseTimestamp,
+    calcTimeStats,
+    hashString,
+    tripTrailName,
+    trailSlug,
+    simplifyCoords,
+    encodeOutline,
+    decodeOutline,
+  };
+}
@@ -0,0 +1,194 @@
+/* ============================================================
+   HIKING JOURNAL — waypoints.js
+   Campsites, shelters, water and other points of interest.
+
+   Day files may hold Point features next to the route line:
+     {
+       "type": "Feature",
+       "geometry": { "type": "Point", "coordinates": [lon, lat, ele_meters] },
+       "properties": { "type": "campsite", "name": "Twin Lakes", "description": "…" }
+     }
+
+   "type" is one of: campsite, shelter, water, resupply, summit,
+   trailhead. Anything else (or no type) is shown as a plain
+   waypoint. GPX <wpt> points load the same way (tracks.js).
+
+   Each type gets its own icon and a toggle in the map's layer
+   switcher.
+   The campsite or shelter nearest the end of a day's route is
+   listed as that day's camp in the Day by Day table.
+
+   Requires utils.js, units.js, maptools.js and Leaflet to be
+   loaded first.
+   ============================================================ */
+
+'use strict';
+
+const CAMP_MATCH_MILES = 0.5;   // how close a camp must be to the day's last point
+
+const WAYPOINT_TYPES = {
+  campsite:  { label: 'Campsite',  plural: 'Campsites',  color: '#c8b98a', path: 'M4 19 12 5l8 14zM12 5v14' },
+  shelter:   { label: 'Shelter',   plural: 'Shelters',   color: '#b89a7a', path: 'M3 12 12 4l9 8M5.5 10v9h13v-9' },
+  water:     { label: 'Water',     plural: 'Water',      color: '#7aa6c2', path: 'M12 3.5s-6 6.8-6 10.5a6 6 0 0 0 12 0c0-3.7-6-10.5-6-10.5z' },
+  resupply:  { label: 'Resupply',  plural: 'Resupply',   color: '#9ab87a', path: 'M5 8h14l-1 12H6zM9 8V6.5a3 3 0 0 1 6 0V8' },
+  summit:    { label: 'Summit',    plural: 'Summits',    color: '#d8d0c4', path: 'M3 19 10 7l4 6 2-3 5 9z' },
+  trailhead: { label: 'Trailhead', plural: 'Trailheads', color: '#c29a7a', path: 'M12 3v18M12 5h7l2 2-2 2h-7M12 11H5l-2 2 2 2h7' },
+  waypoint:  { label: 'Waypoint',  plural: 'Other',      color: '#7a7268', path: 'M12 8.5a3.5 3.5 0 1 0 0 7 3.5 3.5 0 0 0 0-7z' },
+};
+
+// Common alternative spellings (also GPX <type> / <sym> values)
+const WAYPOINT_ALIASES = {
+  camp: 'campsite', campground: 'campsite', tent: 'campsite',
+  hut: 'shelter', 'lean-to': 'shelter', lodge: 'shelter',
+  spring: 'water', stream: 'water', 'drinking water': 'water',
+  town: 'resupply', store: 'resupply', 'post office': 'resupply',
+  peak: 'summit', 'summit peak': 'summit',
+  'trail head': 'trailhead', parking: 'trailhead',
+};
+
+/* ---- Reading waypoints from a day file --------------------- */
+
+/**
+ * Every Point (and MultiPoint) in a day's GeoJSON.
+ * @returns {{type: string, name: string|null, description: string|null, coord: number[]}[]}
+ */
+function extractWaypoints(geojson) {
+  if (!geojson) return [];
+
+  let features;
+  if (geojson.type === 'FeatureCollection') features = geojson.features || [];
+  else if (geojson.type === 'Feature')      features = [geojson];
+  else                                      features = [{ geometry: geojson }];
+
+  const waypoints = [];
+  for (const feature of features) {
+    const geom  = feature && feature.geometry;
+    const props = (feature && feature.properties) || {};
+    if (!geom) continue;
+
+    let coords = [];
+    if (geom.type === 'Point')           coords = [geom.coordinates];
+    else if (geom.type === 'MultiPoint') coords = geom.coordinates || [];
+
+    for (const coord of coords) {
+      if (!Array.isArray(coord) || typeof coord[0] !== 'number' || typeof coord[1] !== 'number') continue;
+      waypoints.push({
+        type: waypointType(props.type),
+        name: props.name || null,
+        description: props.description || props.desc || null,
+        coord,
+      });
+    }
+  }
+  return waypoints;
+}
+
+/** Normalise a "type" property to a WAYPOINT_TYPES key. */
+function waypointType(value) {
+  const key = String(value || '').trim().toLowerCase();
+  if (WAYPOINT_TYPES[key]) return key;
+  return WAYPOINT_ALIASES[key] || 'waypoint';
+}
+
+/**
+ * The campsite or shelter where a day ended: the one nearest the
+ * route's last point, within CAMP_MATCH_MILES.
+ * @param {object} day - Day result with .coords and .waypoints
+ * @returns {object|null} Waypoint
+ */
+function findDayCamp(day) {
+  const end = day.coords[day.coords.length - 1];
+  return end ? nearestWaypoint(day, end, ['campsite', 'shelter']) : null;
+}
+
+/**
+ * A day's waypoint nearest a coordinate, within CAMP_MATCH_MILES.
+ * @param {object}   day
+ * @param {number[]} coord   - [lon, lat]
+ * @param {string[]} [types] - Only consider these types
+ * @returns {object|null} Waypoint
+ */
+function nearestWaypoint(day, coord, types) {
+  let best = null;
+  for (const wp of day.waypoints) {
+    if (types && !types.includes(wp.type)) continue;
+    const miles = haversineDistance(coord, wp.coord);
+    if (miles <= CAMP_MATCH_MILES && (!best || miles < best.miles)) best = { wp, miles };
+  }
+  return best ? best.wp : null;
+}
+
+/** A waypoint's display name — its own, or the type ("Water"). */
+function waypointName(wp) {
+  return wp.name || WAYPOINT_TYPES[wp.type].label;
+}
+
+/* ---- Map layers -------------------------------------------- */
+
+/**
+ * Add every day's waypoints to the map, one toggleable layer per type.
+ * @param {object[]} dayResults - Results from loadAllDays()
+ * @param {L.Map}    map
+ * @returns {Object<string, L.LayerGroup>|null} Layers by type
+ */
+function buildWaypointLayers(dayResults, map) {
+  if (!map) return null;
+
+  const groups = {};
+  for (const day of dayResults) {
+    if (!day.ok) continue;
+    for (const wp of day.waypoints) {
+      if (!groups[wp.type]) groups[wp.type] = L.layerGroup();
+      L.marker([wp.coord[1], wp.coord[0]], { icon: waypointIcon(wp.type), title: waypointName(wp) })
+        .bindPopup(buildWaypointPopupHtml(wp, day), { className: 'waypoint-popup', maxWidth: 260 })
+        .addTo(groups[wp.type]);
+    }
+  }
+
+  const types = Object.keys(WAYPOINT_TYPES).filter(type => groups[type]);
+  if (types.length === 0) return null;
+
+  // Toggles go in the base map switcher (maptools.js), not a second control
+  const control = mapLayerControl(map) || L.control.layers(null, null, { position: 'topright' }).addTo(map);
+  for (const type of types) {
+    const def = WAYPOINT_TYPES[type];
+    groups[type].addTo(map);
+    control.addOverlay(groups[type], `<span class="waypoint-toggle"><span class="waypoint-toggle-icon" style="color:${def.color}">${waypointSvg(type)}</span>${def.plural} (${groups[type].getLayers().length})</span>`);
+  }
+
+  return groups;
+}
+
+function waypointSvg(type) {
+  return `<svg viewBox="0 0 24 24" width="14" height="14" aria-hidden="true">
+    <path d="${WAYPOINT_TYPES[type].path}" fill="none" stroke="currentColor" stroke-width="1.8" stroke-linejoin="round" stroke-linecap="round"/>
+  </svg>`;
+}
+
+function waypointIcon(type) {
+  return L.divIcon({
+    className: `waypoint-marker waypoint-marker--${type}`,
+    html: `<span style="color:${WAYPOINT_TYPES[type].color}">${waypointSvg(type)}</span>`,
+    iconSize: [24, 24],
+    iconAnchor: [12, 12],
+    popupAnchor: [0, -12],
+  });
+}
+
+function buildWaypointPopupHtml(wp, day) {
+  const def  = WAYPOINT_TYPES[wp.type];
+  const ele  = typeof wp.coord[2] === 'number' ? formatElevation(wp.coord[2] * 3.28084) : '';
+  const meta = [`Day ${day.dayNumber}`, ele].filter(Boolean).join(' · ');
+
+  return `
+    <div class="waypoint-popup-type" style="color:${def.color}">${def.label}</div>
+    <div class="waypoint-popup-name">${escapeHtml(waypointName(wp))}</div>
+    <div class="waypoint-popup-meta">${meta}</div>
+    ${wp.description ? `<p class="waypoint-popup-desc">${escapeHtml(wp.description)}</p>` : ''}
+  `;
+}
+
+/* ---- Node export (scripts/validate-data.js) --------------- */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WAYPOINT_TYPES, waypointType };
+}
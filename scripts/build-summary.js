@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/* ============================================================
+   HIKING JOURNAL — scripts/build-summary.js
+   Builds data/summary.json so the homepage doesn't have to
+   download every day track to draw the trip cards.
+
+   Usage (from the repo root, any recent Node — no npm install):
+     node scripts/build-summary.js
+
+   For each trip in data/trips.json this reads meta.json and the
+   day files, computes distance, elevation gain and duration with
+   the same functions the site uses (js/utils.js and js/tracks.js),
+   and writes one entry per trip. Each entry records a hash of that
+   trip's meta.json; main.js only trusts an entry whose hash still
+   matches, and computes everything else live as before.
+
+   Entries also record a hash of each day file ("day_hashes"). The
+   homepage never reads these — checking them would mean downloading
+   the tracks — so they are only an offline signal: validate-data.js
+   warns when a day file no longer matches its entry.
+
+   Each entry also carries a simplified outline of each day's route
+   (encoded polyline strings, see encodeOutline() in utils.js) for
+   the card thumbnails and the homepage overview map.
+
+   Trips with GPX / KML / TCX day files are skipped (those are
+   parsed in the browser) and always computed live.
+
+   Re-run after adding a trip or editing its tracks, and commit
+   the updated data/summary.json.
+   ============================================================ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const {
+  calcDistance,
+  calcElevationGain,
+  calcElapsedTime,
+  getElevationThreshold,
+  hashString,
+  simplifyCoords,
+  encodeOutline,
+} = require('../js/utils.js');
+const { extractCoords, getFirstFeatureProps } = require('../js/tracks.js');
+
+const ROOT     = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+const OUT_FILE = path.join(DATA_DIR, 'summary.json');
+
+main();
+
+function main() {
+  const tripIndex = readJson(path.join(DATA_DIR, 'trips.json'));
+  const trips = {};
+
+  for (const entry of tripIndex) {
+    const tripId = entry.trip_id;
+    try {
+      trips[tripId] = summariseTrip(tripId);
+      const t = trips[tripId];
+      console.log(`  ✓ ${tripId}: ${t.totalDistance} mi, ${t.totalElevation} ft, ${t.duration}`);
+    } catch (err) {
+      console.warn(`  – ${tripId}: skipped (${err.message})`);
+    }
+  }
+
+  const summary = {
+    generated: new Date().toISOString(),
+    trips,
+  };
+
+  fs.writeFileSync(OUT_FILE, JSON.stringify(summary, null, 2) + '\n');
+  console.log(`Wrote ${path.relative(ROOT, OUT_FILE)} (${Object.keys(trips).length} of ${tripIndex.length} trips)`);
+}
+
+/**
+ * Compute one trip's card stats — mirrors computeTripData() in js/main.js.
+ * Throws if the trip can't be summarised offline.
+ */
+function summariseTrip(tripId) {
+  const tripDir  = path.join(DATA_DIR, tripId);
+  const metaText = readText(path.join(tripDir, 'meta.json'));
+  const meta     = JSON.parse(metaText);
+
+  const dayFiles = Array.isArray(meta.days) ? meta.days : [];
+  const nonGeoJSON = dayFiles.filter(f => /\.(gpx|kml|tcx)$/i.test(f));
+  if (nonGeoJSON.length) {
+    throw new Error(`needs browser parsing for ${nonGeoJSON.join(', ')}`);
+  }
+
+  const thresholdM = getElevationThreshold(meta);
+  let totalDistance  = 0;
+  let totalElevation = 0;
+  let dayCount       = 0;
+  const outline      = [];
+  const dayHashes    = [];
+
+  for (const filename of dayFiles) {
+    let geojson;
+    let text = null;
+    try {
+      text    = readText(path.join(tripDir, filename));
+      geojson = JSON.parse(text);
+    } catch (err) {
+      // Same as the homepage: a broken day just doesn't count
+      console.warn(`    ${tripId}/${filename}: ${err.message}`);
+      dayHashes.push(text == null ? null : hashString(text));
+      outline.push(null);
+      continue;
+    }
+    dayHashes.push(hashString(text));
+
+    const coords = extractCoords(geojson);
+    const props  = getFirstFeatureProps(geojson);
+
+    totalDistance += (props && props.distance_miles != null)
+      ? props.distance_miles
+      : calcDistance(coords);
+
+    totalElevation += (props && props.elevation_gain_ft != null)
+      ? props.elevation_gain_ft
+      : calcElevationGain(coords, thresholdM);
+
+    outline.push(coords.length ? encodeOutline(simplifyCoords(coords)) : null);
+    dayCount++;
+  }
+
+  return {
+    meta_hash: hashString(metaText),
+    day_hashes: dayHashes,
+    title: meta.title || tripId,
+    description: meta.description || '',
+    start_date: meta.start_date || null,
+    start_time: meta.start_time || null,
+    end_date: meta.end_date || null,
+    end_time: meta.end_time || null,
+    totalDistance: dayFiles.length ? Math.round(totalDistance * 10) / 10 : null,
+    totalElevation: dayFiles.length ? Math.round(totalElevation / 10) * 10 : null,
+    duration: (meta.start_date && meta.end_date)
+      ? calcElapsedTime(meta.start_date, meta.start_time, meta.end_date, meta.end_time)
+      : null,
+    dayCount,
+    outline,
+  };
+}
+
+/* ---- File helpers ----------------------------------------- */
+
+/** Read a UTF-8 file the way a browser's res.text() would (BOM stripped). */
+function readText(file) {
+  return fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+}
+
+function readJson(file) {
+  return JSON.parse(readText(file));
+}
@@ -0,0 +1,705 @@
+#!/usr/bin/env node
+/* ============================================================
+   HIKING JOURNAL — scripts/validate-data.js
+   Checks everything under data/ (and the trip pages) for the
+   mistakes the site otherwise turns into "—" or a grey map.
+
+   Usage (from the repo root, any recent Node — no npm install):
+     node scripts/validate-data.js
+
+   Checks:
+     - data/trips.json    — shape, duplicate ids, matching data/ folder
+                            and trip page for every entry
+     - meta.json          — JSON syntax, date (YYYY-MM-DD) and time (HH:MM)
+                            formats, start before end, "days" list matches
+                            the files on disk (case-sensitive)
+     - day tracks         — GeoJSON structure, coordinate ranges (incl.
+                            swapped lat/lon), missing elevation, coordTimes;
+                            GPX / KML / TCX get a basic sanity check
+     - gear.json          — the shape js/gear.js expects, "ref" ids that
+                            aren't in data/gear-library.json, and typed
+                            summary rows that don't match the items
+     - gear-library.json  — shape, names and weights of the shared gear
+     - journal.md         — photo shortcodes (and meta.json "photos") point at real files,
+                            "Day N" headings match a listed day
+     - data/summary.json  — entries out of date with their meta.json or day files
+
+   Prints one line per problem and exits with code 1 if there are
+   any errors. Warnings are printed but don't fail the run.
+   ============================================================ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { hashString } = require('../js/utils.js');
+const { waypointType } = require('../js/waypoints.js');
+const { BASE_LAYERS } = require('../js/maptools.js');
+const { calcGearTotals, compareGearSummary, resolveGearList } = require('../js/gear.js');
+const { JOURNAL_PHOTO_RE } = require('../js/journal.js');
+
+const ROOT     = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+
+// A "Day N" heading — the same rule js/journal.js applies to heading text
+const JOURNAL_DAY_RE = /^#{1,6}\s+Day\s+(\d+)\b/i;
+
+const problems = [];
+
+main();
+
+function main() {
+  const tripIndex   = checkTripIndex();
+  const gearLibrary = checkGearLibrary();
+
+  if (tripIndex) {
+    for (const entry of tripIndex) {
+      if (entry && typeof entry.trip_id === 'string' && isDir(path.join(DATA_DIR, entry.trip_id))) {
+        checkTripFolder(entry.trip_id, gearLibrary);
+      }
+    }
+    checkSummary(tripIndex);
+  }
+
+  report();
+}
+
+/* ---- trips.json ------------------------------------------- */
+function checkTripIndex() {
+  const file  = path.join(DATA_DIR, 'trips.json');
+  const index = readJsonFile(file);
+  if (index === undefined) return null;
+
+  if (!Array.isArray(index)) {
+    error(file, 'must be an array of { "trip_id" } entries');
+    return null;
+  }
+
+  const seen = new Set();
+  index.forEach((entry, i) => {
+    const where = `entry ${i + 1}`;
+    if (!entry || typeof entry !== 'object') {
+      error(file, `${where} is not an object`);
+      return;
+    }
+    if (typeof entry.trip_id !== 'string' || !entry.trip_id) {
+      error(file, `${where} is missing "trip_id"`);
+      return;
+    }
+
+    const id = entry.trip_id;
+    if (seen.has(id)) error(file, `"${id}" is listed more than once`);
+    seen.add(id);
+
+    if (!isDir(path.join(DATA_DIR, id))) {
+      error(file, `"${id}" has no matching folder data/${id}/${suggestName(DATA_DIR, id)}`);
+    }
+
+    // page_url is optional — the homepage defaults to trips/trip.html?id={trip_id}
+    if (entry.page_url !== undefined) {
+      if (typeof entry.page_url !== 'string' || !entry.page_url) {
+        error(file, `"${id}" has an empty "page_url" — remove it to use the shared trip page`);
+      } else {
+        checkTripPage(file, id, entry.page_url);
+      }
+    }
+  });
+
+  // Folders nobody points at are probably forgotten trips.json entries
+  for (const name of listDir(DATA_DIR)) {
+    if (isDir(path.join(DATA_DIR, name)) && !seen.has(name)) {
+      warn(path.join(DATA_DIR, name), 'folder is not listed in trips.json, so it never shows on the homepage');
+    }
+  }
+
+  return index;
+}
+
+/** The trip page must exist and load the same trip id. */
+function checkTripPage(indexFile, tripId, pageUrl) {
+  const pagePath = path.join(ROOT, pageUrl.split(/[?#]/)[0]);
+  if (!fs.existsSync(pagePath)) {
+    error(indexFile, `"${tripId}" page_url "${pageUrl}" does not exist`);
+    return;
+  }
+
+  // trips/trip.html?id=… (or #id=…)
+  const urlId = pageUrl.match(/[?#&]id=([^&#]*)/);
+  if (urlId && decodeURIComponent(urlId[1]) !== tripId) {
+    error(indexFile, `"${tripId}" page_url points at id "${decodeURIComponent(urlId[1])}"`);
+  }
+
+  const html  = fs.readFileSync(pagePath, 'utf8');
+  const match = html.match(/window\.TRIP_ID\s*=\s*['"]([^'"]*)['"]/);
+  if (match && match[1] !== tripId) {
+    error(pagePath, `window.TRIP_ID is "${match[1]}" but trips.json links it to "${tripId}"`);
+  }
+}
+
+/* ---- One trip folder --------------------------------------- */
+function checkTripFolder(tripId, gearLibrary) {
+  const dir  = path.join(DATA_DIR, tripId);
+  const file = path.join(dir, 'meta.json');
+
+  if (!fs.existsSync(file)) {
+    error(file, 'missing — every trip needs a meta.json');
+    return;
+  }
+
+  const meta = readJsonFile(file);
+  if (meta !== undefined) checkMeta(file, dir, meta);
+
+  const gearFile = path.join(dir, 'gear.json');
+  if (fs.existsSync(gearFile)) {
+    const gear = readJsonFile(gearFile);
+    if (gear !== undefined) checkGear(gearFile, gear, gearLibrary);
+  }
+
+  const journalFile = path.join(dir, 'journal.md');
+  if (fs.existsSync(journalFile)) {
+    const dayCount = meta && Array.isArray(meta.days) ? meta.days.length : null;
+    checkJournal(journalFile, tripId, dayCount);
+  }
+}
+
+function checkMeta(file, dir, meta) {
+  if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+    error(file, 'must be a JSON object');
+    return;
+  }
+
+  if (!meta.title) warn(file, '"title" is missing — the folder name is shown instead');
+
+  const start = checkDate(file, meta, 'start_date', true);
+  const end   = checkDate(file, meta, 'end_date', true);
+  checkTime(file, meta, 'start_time');
+  checkTime(file, meta, 'end_time');
+
+  if (start && end) {
+    const s = new Date(`${meta.start_date}T${validTime(meta.start_time) ? meta.start_time : '00:00'}`);
+    const e = new Date(`${meta.end_date}T${validTime(meta.end_time) ? meta.end_time : '00:00'}`);
+    if (e <= s) error(file, 'end_date/end_time must be after start_date/start_time (Duration shows "—")');
+  }
+
+  if (meta.elevation_threshold_m != null &&
+      (typeof meta.elevation_threshold_m !== 'number' || meta.elevation_threshold_m < 0)) {
+    error(file, '"elevation_threshold_m" must be a number ≥ 0');
+  }
+
+  if (meta.trail != null && (typeof meta.trail !== 'string' || !meta.trail.trim())) {
+    error(file, '"trail" must be a non-empty string, e.g. "Appalachian Trail"');
+  }
+
+  if (meta.region != null && (typeof meta.region !== 'string' || !meta.region.trim())) {
+    error(file, '"region" must be a non-empty string, e.g. "Georgia"');
+  }
+
+  if (meta.base_layer != null && !Object.prototype.hasOwnProperty.call(BASE_LAYERS, meta.base_layer)) {
+    error(file, `"base_layer" "${meta.base_layer}" must be one of ${Object.keys(BASE_LAYERS).join(', ')}`);
+  }
+
+  if (meta.photo_utc_offset != null &&
+      (typeof meta.photo_utc_offset !== 'string' || !/^[+-]\d{2}:\d{2}$/.test(meta.photo_utc_offset))) {
+    error(file, `"photo_utc_offset" "${meta.photo_utc_offset}" must look like "-06:00"`);
+  }
+
+  if (meta.photos != null) {
+    if (!Array.isArray(meta.photos)) {
+      error(file, '"photos" must be an array of file names');
+    } else {
+      const tripId = path.basename(dir);
+      for (const name of meta.photos) {
+        if (typeof name !== 'string' || !name) {
+          error(file, '"photos" entries must be file names');
+        } else if (!/^[a-z]+:/i.test(name) && !name.includes('/') &&
+                   !fs.existsSync(path.join(ROOT, 'photos', tripId, name))) {
+          warn(file, `photo photos/${tripId}/${name} does not exist${suggestName(path.join(ROOT, 'photos', tripId), name)}`);
+        }
+      }
+    }
+  }
+
+  if (!Array.isArray(meta.days) || meta.days.length === 0) {
+    error(file, '"days" must be a non-empty array of day file names');
+    return;
+  }
+
+  const onDisk = listDir(dir);
+  const listed = new Set();
+
+  meta.days.forEach((name, i) => {
+    if (typeof name !== 'string' || !name) {
+      error(file, `days[${i}] must be a file name string`);
+      return;
+    }
+    if (listed.has(name)) warn(file, `"${name}" is listed twice in "days"`);
+    listed.add(name);
+
+    // Exact match only — GitHub Pages is case-sensitive
+    if (!onDisk.includes(name)) {
+      error(file, `days[${i}] "${name}" does not exist${suggestName(dir, name)}`);
+      return;
+    }
+    checkDayFile(path.join(dir, name));
+  });
+
+  for (const name of onDisk) {
+    if (/\.(geojson|gpx|kml|tcx)$/i.test(name) && !listed.has(name)) {
+      warn(path.join(dir, name), 'day file is not listed in meta.json "days", so it is never shown');
+    }
+  }
+}
+
+function checkDate(file, meta, key, required) {
+  const value = meta[key];
+  if (value == null || value === '') {
+    if (required) error(file, `"${key}" is missing (expected YYYY-MM-DD)`);
+    return false;
+  }
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!m) {
+    error(file, `"${key}" is "${value}" — expected YYYY-MM-DD`);
+    return false;
+  }
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  if (d.getMonth() !== Number(m[2]) - 1 || d.getDate() !== Number(m[3])) {
+    error(file, `"${key}" "${value}" is not a real date`);
+    return false;
+  }
+  return true;
+}
+
+function checkTime(file, meta, key) {
+  const value = meta[key];
+  if (value == null || value === '') return;
+  if (!validTime(value)) error(file, `"${key}" is "${value}" — expected 24-hour HH:MM, e.g. "07:00"`);
+}
+
+function validTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/* ---- Day tracks -------------------------------------------- */
+function checkDayFile(file) {
+  const ext = path.extname(file).toLowerCase();
+
+  if (ext === '.gpx' || ext === '.kml' || ext === '.tcx') {
+    checkXmlTrack(file, ext);
+    return;
+  }
+
+  const geojson = readJsonFile(file);
+  if (geojson !== undefined) checkGeoJSON(file, geojson);
+}
+
+/** Light check only — the full XML parse happens in the browser (tracks.js). */
+function checkXmlTrack(file, ext) {
+  const text = fs.readFileSync(file, 'utf8');
+  const expected = {
+    '.gpx': { root: /<gpx[\s>]/,                    points: /<(trkpt|rtept)[\s>]/ },
+    '.kml': { root: /<kml[\s>]/,                    points: /<(coordinates|gx:coord)[\s>]/ },
+    '.tcx': { root: /<TrainingCenterDatabase[\s>]/, points: /<Position[\s>]/ },
+  }[ext];
+
+  if (!expected.root.test(text)) {
+    error(file, `does not look like a ${ext.slice(1).toUpperCase()} file`);
+  } else if (!expected.points.test(text)) {
+    error(file, 'contains no track points');
+  }
+}
+
+function checkGeoJSON(file, geojson) {
+  const types = ['FeatureCollection', 'Feature', 'LineString', 'MultiLineString', 'Point', 'MultiPoint', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+  if (!geojson || !types.includes(geojson.type)) {
+    error(file, `"type" is ${JSON.stringify(geojson && geojson.type)} — expected "FeatureCollection"`);
+    return;
+  }
+
+  let features;
+  if (geojson.type === 'FeatureCollection') {
+    if (!Array.isArray(geojson.features)) {
+      error(file, 'FeatureCollection has no "features" array');
+      return;
+    }
+    features = geojson.features;
+  } else if (geojson.type === 'Feature') {
+    features = [geojson];
+  } else {
+    features = [{ type: 'Feature', geometry: geojson }];
+  }
+
+  let lines = 0;
+  let points = 0;
+  let missingEle = 0;
+  let antarctic  = 0;
+  const badRanges = [];
+
+  features.forEach((feature, fi) => {
+    const where = features.length > 1 ? `feature ${fi + 1}: ` : '';
+    if (!feature || feature.type !== 'Feature') {
+      error(file, `${where}"type" must be "Feature"`);
+      return;
+    }
+    const geom = feature.geometry;
+    if (!geom) {
+      error(file, `${where}has no "geometry"`);
+      return;
+    }
+
+    if (geom.type === 'Point' || geom.type === 'MultiPoint') {
+      checkWaypoint(file, where, feature);
+      return;
+    }
+
+    let coordLists;
+    if (geom.type === 'LineString')           coordLists = [geom.coordinates];
+    else if (geom.type === 'MultiLineString') coordLists = geom.coordinates;
+    else return; // Polygons etc. are allowed but not drawn
+
+    if (!Array.isArray(coordLists) || coordLists.some(l => !Array.isArray(l))) {
+      error(file, `${where}"coordinates" must be an array of [lon, lat, ele] points`);
+      return;
+    }
+
+    lines++;
+    let count = 0;
+    for (const list of coordLists) {
+      for (const c of list) {
+        count++;
+        if (!Array.isArray(c) || c.length < 2 || typeof c[0] !== 'number' || typeof c[1] !== 'number') {
+          error(file, `${where}point ${count} is ${JSON.stringify(c)} — expected [lon, lat, ele]`);
+          return;
+        }
+        if (Math.abs(c[0]) > 180 || Math.abs(c[1]) > 90) badRanges.push(c);
+        else if (c[1] < -60) antarctic++;
+        if (typeof c[2] !== 'number') missingEle++;
+      }
+    }
+    points += count;
+
+    if (count < 2) error(file, `${where}route has fewer than 2 points`);
+
+    const coordTimes = feature.properties && feature.properties.coordTimes;
+    if (coordTimes != null) {
+      const flat = Array.isArray(coordTimes) ? coordTimes.flat() : null;
+      if (!flat || flat.length !== count) {
+        warn(file, `${where}coordTimes has ${flat ? flat.length : 'no'} entries for ${count} points`);
+      }
+    }
+  });
+
+  if (lines === 0) {
+    error(file, 'no LineString or MultiLineString route found — nothing will be drawn');
+    return;
+  }
+
+  if (badRanges.length) {
+    const c = badRanges[0];
+    const swapped = Math.abs(c[0]) <= 90 && Math.abs(c[1]) <= 180;
+    error(file, `${badRanges.length} point(s) out of range, first ${JSON.stringify(c)}` +
+      (swapped ? ' — lat/lon look swapped (GeoJSON is [longitude, latitude])' : ''));
+  }
+
+  // Swapped US coordinates are still "in range" — they just land in Antarctica
+  if (antarctic) {
+    warn(file, `${antarctic} point(s) south of 60°S — lat/lon may be swapped (GeoJSON is [longitude, latitude])`);
+  }
+
+  if (missingEle === points) {
+    warn(file, 'no elevation values — elevation gain will show as 0');
+  } else if (missingEle) {
+    warn(file, `${missingEle} of ${points} points have no elevation`);
+  }
+}
+
+/** Point features are waypoints — see js/waypoints.js. */
+function checkWaypoint(file, where, feature) {
+  const geom   = feature.geometry;
+  const props  = feature.properties || {};
+  const coords = geom.type === 'Point' ? [geom.coordinates] : geom.coordinates;
+  const label  = `${where}waypoint${props.name ? ` "${props.name}"` : ''}`;
+
+  if (!Array.isArray(coords) || coords.some(c => !Array.isArray(c) || typeof c[0] !== 'number' || typeof c[1] !== 'number')) {
+    error(file, `${label} "coordinates" must be [lon, lat, ele]`);
+    return;
+  }
+  if (coords.some(c => Math.abs(c[0]) > 180 || Math.abs(c[1]) > 90)) {
+    error(file, `${label} has coordinates out of range — lat/lon swapped?`);
+  }
+  if (props.type != null && waypointType(props.type) === 'waypoint' && String(props.type).toLowerCase() !== 'waypoint') {
+    warn(file, `${label} type "${props.type}" is not one of campsite, shelter, water, resupply, summit, trailhead — shown as a plain waypoint`);
+  }
+}
+
+/* ---- gear-library.json ----------------------------------- */
+
+/** @returns {object} The library ({ items: {} } when missing or broken) */
+function checkGearLibrary() {
+  const file = path.join(DATA_DIR, 'gear-library.json');
+  if (!fs.existsSync(file)) return { items: {} };
+
+  const library = readJsonFile(file);
+  if (library === undefined) return { items: {} };
+
+  if (!library || typeof library.items !== 'object' || Array.isArray(library.items) || library.items === null) {
+    error(file, 'must be an object with an "items" object of { "<id>": { "gear", "weight_oz" } }');
+    return { items: {} };
+  }
+
+  for (const [id, item] of Object.entries(library.items)) {
+    const label = `item "${id}"`;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      error(file, `${label} is not an object`);
+      continue;
+    }
+    if (item.ref != null) error(file, `${label} has a "ref" — library items can't point at other items`);
+    if (!item.gear) warn(file, `${label} has no "gear" name`);
+    if (item.weight_oz != null && item.weight_oz !== '' && !isNumeric(item.weight_oz)) {
+      error(file, `${label} weight_oz "${item.weight_oz}" is not a number`);
+    }
+    checkGearFlags(file, label, item);
+  }
+  return library;
+}
+
+/* ---- gear.json --------------------------------------------- */
+function checkGear(file, gear, gearLibrary) {
+  if (!gear || typeof gear !== 'object' || Array.isArray(gear)) {
+    error(file, 'must be a JSON object');
+    return;
+  }
+
+  if (gear.title != null && typeof gear.title !== 'string') {
+    error(file, '"title" must be a string');
+  }
+
+  if (gear.summary != null) {
+    if (!Array.isArray(gear.summary)) {
+      error(file, '"summary" must be an array');
+    } else {
+      gear.summary.forEach((row, i) => {
+        if (!row || typeof row.category !== 'string') {
+          error(file, `summary[${i}] needs a "category" string`);
+        }
+        if (!row || row.weight_lbs == null) {
+          warn(file, `summary[${i}] has no "weight_lbs"`);
+        }
+      });
+    }
+  }
+
+  if (!Array.isArray(gear.categories)) {
+    error(file, '"categories" must be an array');
+    return;
+  }
+
+  gear.categories.forEach((cat, ci) => {
+    const where = `categories[${ci}]${cat && cat.name ? ` "${cat.name}"` : ''}`;
+    if (!cat || typeof cat.name !== 'string' || !cat.name) {
+      error(file, `${where} needs a "name" (unnamed categories are not shown)`);
+    }
+    checkGearFlags(file, where, cat);
+    if (!cat || !Array.isArray(cat.items)) {
+      error(file, `${where} needs an "items" array`);
+      return;
+    }
+
+    cat.items.forEach((item, ii) => {
+      const name  = item && (item.gear || item.ref);
+      const label = `${where} item ${ii + 1}${name ? ` "${name}"` : ''}`;
+      if (!item || typeof item !== 'object') {
+        error(file, `${label} is not an object`);
+        return;
+      }
+      if (item.ref != null) {
+        if (typeof item.ref !== 'string' || !gearLibrary.items[item.ref]) {
+          error(file, `${label} "ref" is not an id in data/gear-library.json`);
+        }
+      } else if (!item.gear) {
+        warn(file, `${label} has no "gear" name`);
+      }
+      if (item.weight_oz != null && item.weight_oz !== '' && !isNumeric(item.weight_oz)) {
+        error(file, `${label} weight_oz "${item.weight_oz}" is not a number`);
+      }
+      if (item.quantity != null && item.quantity !== '' && !isNumeric(item.quantity)) {
+        error(file, `${label} quantity "${item.quantity}" is not a number`);
+      }
+      checkGearFlags(file, label, item);
+    });
+  });
+
+  // The page shows totals computed from the items; say where the typed ones differ
+  const resolved = resolveGearList(gear, gearLibrary);
+  for (const m of compareGearSummary(gear.summary, calcGearTotals(resolved))) {
+    warn(file, `summary "${m.category}" is ${m.listedLbs} lbs but the items add up to ${m.computedLbs.toFixed(2)} lbs`);
+  }
+}
+
+function checkGearFlags(file, label, obj) {
+  if (!obj) return;
+  for (const key of ['worn', 'consumable']) {
+    if (obj[key] != null && typeof obj[key] !== 'boolean') {
+      error(file, `${label} "${key}" must be true or false`);
+    }
+  }
+}
+
+/* ---- journal.md ------------------------------------------- */
+function checkJournal(file, tripId, dayCount) {
+  const lines = readText(file).split(/\r?\n/);
+
+  lines.forEach((raw, i) => {
+    const line  = raw.trim();
+    const where = `line ${i + 1}`;
+
+    if (/^\{\{\s*photo\b/i.test(line)) {
+      const photo = line.match(JOURNAL_PHOTO_RE);
+      if (!photo) {
+        error(file, `${where}: photo shortcode should look like {{photo file.jpg | Alt text | Caption}}`);
+        return;
+      }
+      if (!photo[2]) warn(file, `${where}: photo "${photo[1]}" has no alt text`);
+
+      // Bare filenames live in photos/{trip}/; URLs can't be checked offline
+      const src = photo[1];
+      if (/^[a-z]+:/i.test(src)) return;
+      const photoPath = src.includes('/')
+        ? path.join(ROOT, 'trips', src)
+        : path.join(ROOT, 'photos', tripId, src);
+      if (!fs.existsSync(photoPath)) {
+        const photoDir = path.dirname(photoPath);
+        warn(file, `${where}: photo ${path.relative(ROOT, photoPath)} does not exist${suggestName(photoDir, path.basename(photoPath))}`);
+      }
+      return;
+    }
+
+    const day = line.match(JOURNAL_DAY_RE);
+    if (day && dayCount != null && (Number(day[1]) < 1 || Number(day[1]) > dayCount)) {
+      warn(file, `${where}: "Day ${day[1]}" heading but meta.json lists ${dayCount} day(s), so it won't link to the map`);
+    }
+  });
+}
+
+function isNumeric(value) {
+  return value !== '' && isFinite(Number(value));
+}
+
+/* ---- summary.json ------------------------------------------ */
+function checkSummary(tripIndex) {
+  const file = path.join(DATA_DIR, 'summary.json');
+  if (!fs.existsSync(file)) return;
+
+  const summary = readJsonFile(file);
+  if (summary === undefined) return;
+  const trips = (summary && summary.trips) || {};
+
+  for (const entry of tripIndex) {
+    const id = entry && entry.trip_id;
+    const metaFile = path.join(DATA_DIR, String(id), 'meta.json');
+    if (!id || !fs.existsSync(metaFile)) continue;
+
+    const metaText = readText(metaFile);
+    if (!trips[id]) {
+      warn(file, `no entry for "${id}" — run node scripts/build-summary.js`);
+    } else if (trips[id].meta_hash !== hashString(metaText)) {
+      warn(file, `entry for "${id}" is out of date — run node scripts/build-summary.js`);
+    } else if (!dayHashesMatch(trips[id].day_hashes, id, metaText)) {
+      warn(file, `entry for "${id}" is out of date (a day file changed) — run node scripts/build-summary.js`);
+    }
+  }
+}
+
+/** Every day file still hashes to what build-summary.js recorded — the homepage can't check this without downloading the tracks. */
+function dayHashesMatch(hashes, tripId, metaText) {
+  let days;
+  try {
+    days = JSON.parse(metaText).days;
+  } catch {
+    return true; // meta.json itself is reported by checkMeta()
+  }
+  if (!Array.isArray(days) || !Array.isArray(hashes) || hashes.length !== days.length) return false;
+
+  return days.every((name, i) => {
+    const dayFile = path.join(DATA_DIR, tripId, String(name));
+    return hashes[i] === (fs.existsSync(dayFile) ? hashString(readText(dayFile)) : null);
+  });
+}
+
+/* ---- Helpers ----------------------------------------------- */
+
+/**
+ * Parse a JSON file, reporting syntax errors with a line number and
+ * a hint for the usual suspects. Returns undefined on failure.
+ */
+function readJsonFile(file) {
+  let text;
+  try {
+    text = readText(file);
+  } catch (err) {
+    error(file, `cannot be read (${err.code || err.message})`);
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    const pos  = Number((/position (\d+)/.exec(err.message) || [])[1]);
+    const line = isFinite(pos) ? text.slice(0, pos).split('\n').length : null;
+
+    let hint = '';
+    if (/,\s*[}\]]/.test(text))    hint = ' — check for a trailing comma after the last entry';
+    else if (/[“”‘’]/.test(text))  hint = ' — replace smart quotes with straight quotes';
+
+    error(file, `invalid JSON${line ? ` near line ${line}` : ''}: ${err.message}${hint}`);
+    return undefined;
+  }
+}
+
+/** " (did you mean …?)" for a name that only differs by case. */
+function suggestName(dir, name) {
+  const match = listDir(dir).find(n => n.toLowerCase() === name.toLowerCase() && n !== name);
+  return match ? ` (did you mean "${match}"? names are case-sensitive)` : '';
+}
+
+function readText(file) {
+  return fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+}
+
+function listDir(dir) {
+  try {
+    return fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+}
+
+function isDir(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function error(file, message) {
+  problems.push({ level: 'error', file, message });
+}
+
+function warn(file, message) {
+  problems.push({ level: 'warning', file, message });
+}
+
+function report() {
+  const errors   = problems.filter(p => p.level === 'error');
+  const warnings = problems.filter(p => p.level === 'warning');
+
+  for (const p of problems) {
+    const mark = p.level === 'error' ? '✗' : '!';
+    console.log(`${mark} ${path.relative(ROOT, p.file)}: ${p.message}`);
+  }
+
+  if (problems.length) console.log('');
+  console.log(`${errors.length} error(s), ${warnings.length} warning(s)`);
+  process.exitCode = errors.length ? 1 : 0;
+}